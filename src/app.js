@@ -9,7 +9,10 @@ import helmet from 'helmet';
 import postgres from './config/postgres.js';
 import baseRoute from './routes/base.js';
 import initPostgres from './lib/database/utils/init.js';
+import initModels from './models/init.js';
+import { purgeHiddenKeys } from './utils/key.js';
 import { logError, logInfo } from './utils/logger.js';
+import { addRevisionHooks } from './utils/revision.js';
 
 /**
  * Application entry point
@@ -45,7 +48,7 @@ app.use(session({
      } */
 }));
 app.use(express.json({ limit: '100mb' }));
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Total-Count', 'Link'] }));
 app.use(helmet());
 app.use(passport.initialize());
 app.use(passport.session());
@@ -58,6 +61,12 @@ const run = async () => {
     try {
         await postgres.authenticate();
         await initPostgres();
+        await initModels();
+        addRevisionHooks();
+        if (process.env.TRASH_RETENTION_DAYS) {
+            const interval = parseInt(process.env.TRASH_PURGE_INTERVAL, 10);
+            setInterval(purgeHiddenKeys, interval > 0 ? interval : 86400000);
+        }
         app.listen(process.env.PORT, () => logInfo(`Server started on port ${process.env.PORT} with URL base ${process.env.BUILDER_API_URL_BASE}`));
     } catch (err) {
         logError('PostgreSQL connection failed', err);
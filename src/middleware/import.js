@@ -0,0 +1,33 @@
+import multer from 'multer';
+import path from 'path';
+import { logError } from '../utils/logger.js';
+
+/**
+ * Read uploaded import files into memory
+ *
+ * @param {Array} fields File field names
+ * @param {Array} extensions Valid file extensions
+ */
+const importFiles = (fields, extensions) => {
+    const config = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: parseInt(process.env.MAX_IMPORT_FILE_SIZE, 10) },
+        fileFilter: (req, file, cb) => {
+            if (extensions.includes(path.extname(file.originalname).toLowerCase())) {
+                cb(null, true);
+            } else cb(new Error(`Invalid file type: ${file.originalname}`));
+        },
+    }).fields(fields.map((name) => ({ name, maxCount: 1 })));
+    return (req, res, next) => {
+        config(req, res, (err) => {
+            if (err) {
+                logError('Could not handle import file upload', err);
+                res.status(400).json({ error: 'Invalid file' });
+            } else if (!req.files || fields.some((name) => !req.files[name])) {
+                res.status(400).json({ error: 'Missing file' });
+            } else next();
+        });
+    };
+};
+
+export default importFiles;
@@ -0,0 +1,45 @@
+import Languages from '../lib/database/models/Languages.js';
+import { getInputLanguages } from '../utils/language.js';
+import { logError } from '../utils/logger.js';
+
+/**
+ * Check that localized text input only uses the languages of the key (the stored key
+ * languages, or the languages in the request body when a key is created or updated).
+ * Character state alternatives are included.
+ *
+ * @param {Array} fields Localized field names
+ * @param {Array} codeFields Names of fields with a language code (for example language)
+ * @param {boolean} isKey True if the key is created or updated (languages in request body)
+ */
+const isKeyLanguage = (fields, codeFields = [], isKey = false) => async (req, res, next) => {
+    try {
+        let used = getInputLanguages(req.body, fields).concat(codeFields
+            .filter((field) => typeof req.body[field] === 'string')
+            .map((field) => req.body[field]));
+        if (Array.isArray(req.body.alternatives)) {
+            req.body.alternatives.forEach((alternative) => {
+                if (alternative) used = used.concat(getInputLanguages(alternative, fields));
+            });
+        }
+        let languages = [];
+        if (used.length > 0) {
+            if (isKey) {
+                languages = req.body.languages;
+            } else {
+                const keyLanguages = await Languages.findAll({
+                    where: { keyId: req.params.keyId || req.body.keyId },
+                });
+                languages = keyLanguages.map((element) => element.languageCode);
+            }
+        }
+        const unsupported = [...new Set(used.filter((element) => !languages.includes(element)))];
+        if (unsupported.length === 0) {
+            next();
+        } else res.status(400).json({ error: 'Language is not used in key', languages: unsupported });
+    } catch (err) {
+        logError('Could not check key languages', err);
+        res.sendStatus(500);
+    }
+};
+
+export default isKeyLanguage;
@@ -0,0 +1,31 @@
+import Sequelize from 'sequelize';
+import postgres from '../config/postgres.js';
+
+/**
+ * Keys created as clones of other keys, with the source key and revision
+ */
+class DerivedKeys extends Sequelize.Model { }
+
+DerivedKeys.init({
+    keyId: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        field: 'artsapp_key_id',
+    },
+    sourceKeyId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        field: 'source_artsapp_key_id',
+    },
+    sourceRevisionId: {
+        type: Sequelize.UUID,
+        field: 'source_revision_id',
+    },
+}, {
+    sequelize: postgres,
+    modelName: 'derived_keys',
+    schema: process.env.POSTGRES_SCHEMA,
+    underscored: true,
+});
+
+export default DerivedKeys;
@@ -0,0 +1,32 @@
+import Sequelize from 'sequelize';
+import postgres from '../config/postgres.js';
+
+/**
+ * Hidden keys (trash), with the status to restore and the time the key was hidden
+ */
+class HiddenKeys extends Sequelize.Model { }
+
+HiddenKeys.init({
+    keyId: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        field: 'artsapp_key_id',
+    },
+    previousStatus: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        field: 'previous_status',
+    },
+    hiddenAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        field: 'hidden_at',
+    },
+}, {
+    sequelize: postgres,
+    modelName: 'hidden_keys',
+    schema: process.env.POSTGRES_SCHEMA,
+    timestamps: false,
+});
+
+export default HiddenKeys;
@@ -0,0 +1,43 @@
+import Sequelize from 'sequelize';
+import postgres from '../config/postgres.js';
+
+/**
+ * Key ownership transfers (audit record of who transferred a key from one owner to another)
+ */
+class KeyTransfers extends Sequelize.Model { }
+
+KeyTransfers.init({
+    id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        field: 'key_transfers_id',
+    },
+    keyId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        field: 'artsapp_key_id',
+    },
+    fromUserId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        field: 'from_artsapp_user_id',
+    },
+    toUserId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        field: 'to_artsapp_user_id',
+    },
+    transferredBy: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        field: 'transferred_by',
+    },
+}, {
+    sequelize: postgres,
+    modelName: 'key_transfers',
+    schema: process.env.POSTGRES_SCHEMA,
+    underscored: true,
+});
+
+export default KeyTransfers;
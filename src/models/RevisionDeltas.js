@@ -0,0 +1,37 @@
+import Sequelize from 'sequelize';
+import postgres from '../config/postgres.js';
+
+/**
+ * Revisions stored as JSON patches against a parent revision (the revision row itself has
+ * empty content and media). Revisions without a delta row are full snapshots.
+ */
+class RevisionDeltas extends Sequelize.Model { }
+
+RevisionDeltas.init({
+    revisionId: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        field: 'revision_id',
+    },
+    parentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        field: 'parent_revision_id',
+    },
+    depth: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+    },
+    patch: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+    },
+}, {
+    sequelize: postgres,
+    modelName: 'revision_deltas',
+    schema: process.env.POSTGRES_SCHEMA,
+    underscored: true,
+    indexes: [{ fields: ['parent_revision_id'] }],
+});
+
+export default RevisionDeltas;
@@ -0,0 +1,17 @@
+import DerivedKeys from './DerivedKeys.js';
+import HiddenKeys from './HiddenKeys.js';
+import KeyTransfers from './KeyTransfers.js';
+import RevisionDeltas from './RevisionDeltas.js';
+
+/**
+ * Create tables for the models defined by the API (models from the database model package
+ * are initialized by its own init)
+ */
+const initModels = async () => {
+    await DerivedKeys.sync();
+    await HiddenKeys.sync();
+    await KeyTransfers.sync();
+    await RevisionDeltas.sync();
+};
+
+export default initModels;
@@ -10,6 +10,7 @@ import mediaRoute from './media.js';
 import editorsRoute from './editors.js';
 import organizationsRoute from './organizations.js';
 import workgroupsRoute from './workgroups.js';
+import publicRoute from './public.js';
 
 /**
  * Base route
@@ -27,5 +28,6 @@ router.use('/media', mediaRoute);
 router.use('/editors', editorsRoute);
 router.use('/organizations', organizationsRoute);
 router.use('/workgroups', workgroupsRoute);
+router.use('/public', publicRoute);
 
 export default router;
@@ -2,15 +2,17 @@ import express from 'express';
 import { body, oneOf, param } from 'express-validator';
 import Character from '../lib/database/models/Character.js';
 import CharacterState from '../lib/database/models/CharacterState.js';
-import Revision from '../lib/database/models/Revision.js';
 import { isAuthenticated, isPermittedKey } from '../middleware/auth.js';
 import isValidInput from '../middleware/input.js';
+import isKeyLanguage from '../middleware/language.js';
 import {
     createMultiStates, createNumericalState, removeStatePremises,
     checkMinMaxValues, setCharacterInfo,
 } from '../utils/character.js';
+import { getText } from '../utils/content.js';
+import { getLocalizedText, hasLocalizedText, isLocalizedText } from '../utils/language.js';
 import { logError } from '../utils/logger.js';
-import { createRevision, findRevisionForKey } from '../utils/revision.js';
+import { createRevision, findRevisionForKey, updateRevision } from '../utils/revision.js';
 
 /**
  * Routes for characters
@@ -55,6 +57,47 @@ router.put('/premise/:characterId', [
     }
 });
 
+/**
+ * Update character difficulty and reliability (used to weight suggested characters)
+ */
+router.put('/weight/:characterId', [
+    param('characterId').isString(),
+    body('keyId').isUUID(4),
+    body('revisionId').isUUID(4),
+    body('difficulty').isFloat({ min: 1, max: 5 }).optional({ nullable: true }),
+    body('reliability').isFloat({ min: 0, max: 1 }).optional({ nullable: true }),
+], isValidInput, isPermittedKey('EDIT_KEY'), async (req, res) => {
+    try {
+        const { revision, key } = await findRevisionForKey(req.body.revisionId, req.body.keyId);
+        if (key && revision) {
+            const char = (revision.content.characters || []).find(
+                (element) => element.id === req.params.characterId,
+            );
+            if (char) {
+                ['difficulty', 'reliability'].forEach((field) => {
+                    if (req.body[field] === null) {
+                        delete char[field];
+                    } else if (req.body[field] !== undefined) {
+                        char[field] = parseFloat(req.body[field]);
+                    }
+                });
+                const revisionId = await createRevision(
+                    key,
+                    revision.content,
+                    revision.media,
+                    req.user,
+                    `Updated character weight: ${getText(char.title, 'en')}`,
+                    revision.mode,
+                );
+                res.status(200).json(revisionId);
+            } else res.sendStatus(404);
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not update character weight', err);
+        res.sendStatus(500);
+    }
+});
+
 /**
  * Remove values that include the listed state IDs from the affected character premises
  */
@@ -70,10 +113,7 @@ router.put('/states/revision/:revisionId', [
             req.body.states.forEach((state) => {
                 content.characters = removeStatePremises(state, content.characters);
             });
-            await Revision.update(
-                { content },
-                { where: { id: req.params.revisionId } },
-            );
+            await updateRevision(req.params.revisionId, { content });
             res.sendStatus(200);
         } else res.sendStatus(404);
     } catch (err) {
@@ -92,23 +132,26 @@ router.put('/:characterId', [
     oneOf([
         body('titleNo').isString().isLength({ min: 1 }),
         body('titleEn').isString().isLength({ min: 1 }),
+        body('title').custom(hasLocalizedText),
     ]),
     body('descriptionNo').isString().optional(),
     body('descriptionEn').isString().optional(),
+    body('description').custom(isLocalizedText).optional(),
     body('type').isString(),
     oneOf([
         body('alternatives').isArray(),
         [
             body('unitNo').isString().optional(),
             body('unitEn').isString().optional(),
+            body('unit').custom(isLocalizedText).optional(),
             body('min').isFloat(),
             body('max').isFloat(),
             body('stepSize').isFloat(),
         ],
     ]),
-], isValidInput, isPermittedKey('EDIT_KEY'), async (req, res) => {
+], isValidInput, isPermittedKey('EDIT_KEY'), isKeyLanguage(['title', 'description', 'unit']), async (req, res) => {
     try {
-        if ((req.body.type === 'NUMERICAL' && (req.body.unitNo || req.body.unitEn))
+        if ((req.body.type === 'NUMERICAL' && getLocalizedText(req.body, 'unit'))
             || (req.body.alternatives && req.body.alternatives.length > 1)) {
             const { revision, key } = await findRevisionForKey(
                 req.body.revisionId,
@@ -124,12 +167,9 @@ router.put('/:characterId', [
                         );
                         char = setCharacterInfo(char, req.body);
                         if (!Array.isArray(char.states)) {
-                            const unit = {};
-                            if (req.body.unitNo) unit.no = req.body.unitNo;
-                            if (req.body.unitEn) unit.en = req.body.unitEn;
                             states = await createNumericalState(
                                 char.id,
-                                unit,
+                                getLocalizedText(req.body, 'unit') || {},
                                 req.body.min,
                                 req.body.max,
                                 req.body.stepSize,
@@ -171,7 +211,7 @@ router.put('/:characterId', [
                             revision.content,
                             revision.media,
                             req.user,
-                            `Updated character: ${req.body.titleEn || req.body.titleNo}`,
+                            `Updated character: ${getText(getLocalizedText(req.body, 'title'), 'en')}`,
                             revision.mode,
                         );
                         res.status(200).json(revisionId);
@@ -194,23 +234,26 @@ router.post('/', [
     oneOf([
         body('titleNo').isString().isLength({ min: 1 }),
         body('titleEn').isString().isLength({ min: 1 }),
+        body('title').custom(hasLocalizedText),
     ]),
     body('descriptionNo').isString().optional(),
     body('descriptionEn').isString().optional(),
+    body('description').custom(isLocalizedText).optional(),
     body('type').isString(),
     oneOf([
         body('alternatives').isArray(),
         [
             body('unitNo').isString().optional(),
             body('unitEn').isString().optional(),
+            body('unit').custom(isLocalizedText).optional(),
             body('min').isFloat(),
             body('max').isFloat(),
             body('stepSize').isFloat(),
         ],
     ]),
-], isValidInput, isPermittedKey('EDIT_KEY'), async (req, res) => {
+], isValidInput, isPermittedKey('EDIT_KEY'), isKeyLanguage(['title', 'description', 'unit']), async (req, res) => {
     try {
-        if ((req.body.type === 'NUMERICAL' && (req.body.unitNo || req.body.unitEn))
+        if ((req.body.type === 'NUMERICAL' && getLocalizedText(req.body, 'unit'))
             || (req.body.alternatives && req.body.alternatives.length > 1)) {
             const { revision, key } = await findRevisionForKey(
                 req.body.revisionId,
@@ -224,12 +267,9 @@ router.post('/', [
                     keyId: req.body.keyId,
                 });
                 if (character.type === 'NUMERICAL') {
-                    const unit = {};
-                    if (req.body.unitNo) unit.no = req.body.unitNo;
-                    if (req.body.unitEn) unit.en = req.body.unitEn;
                     states = await createNumericalState(
                         character.id,
-                        unit,
+                        getLocalizedText(req.body, 'unit') || {},
                         req.body.min,
                         req.body.max,
                         req.body.stepSize,
@@ -257,7 +297,7 @@ router.post('/', [
                     revision.content,
                     revision.media,
                     req.user,
-                    `Created new character: ${req.body.titleEn ? req.body.titleEn : req.body.titleNo}`,
+                    `Created new character: ${getText(getLocalizedText(req.body, 'title'), 'en')}`,
                     revision.mode,
                 );
                 res.status(200).json({ revisionId, characterId: `${character.id}` });
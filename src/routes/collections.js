@@ -1,5 +1,7 @@
 import express from 'express';
-import { body, param, query } from 'express-validator';
+import {
+    body, oneOf, param, query,
+} from 'express-validator';
 import Sequelize from 'sequelize';
 import Collection from '../lib/database/models/Collection.js';
 import CollectionInfo from '../lib/database/models/CollectionInfo.js';
@@ -12,6 +14,7 @@ import isValidInput from '../middleware/input.js';
 import {
     createCollectionInfo, getCollectionById, getCollections, updateCollectionInfos,
 } from '../utils/collection.js';
+import { getLocalizedConditions, hasLocalizedText, isLocalizedText } from '../utils/language.js';
 import { logError } from '../utils/logger.js';
 import { getEntityMedia } from '../utils/media.js';
 
@@ -78,25 +81,22 @@ router.get('/:collectionId', [
  */
 router.put('/:collectionId', [
     param('collectionId').isInt(),
-    body('nameNo').isString().isLength({ min: 1 }),
-    body('nameEn').isString().isLength({ min: 1 }),
+    oneOf([
+        [
+            body('nameNo').isString().isLength({ min: 1 }),
+            body('nameEn').isString().isLength({ min: 1 }),
+        ],
+        body('name').custom(hasLocalizedText),
+    ]),
     body('descriptionNo').isString().optional(),
     body('descriptionEn').isString().optional(),
+    body('description').custom(isLocalizedText).optional(),
 ], isValidInput, isPermitted(['EDIT_COLLECTION']), async (req, res) => {
     try {
         const exists = await CollectionInfo.findAll({
             where: {
                 collectionId: { [Sequelize.Op.not]: req.params.collectionId },
-                [Sequelize.Op.or]: [
-                    {
-                        name: req.body.nameNo,
-                        languageCode: 'no',
-                    },
-                    {
-                        name: req.body.nameEn,
-                        languageCode: 'en',
-                    },
-                ],
+                [Sequelize.Op.or]: getLocalizedConditions(req.body, 'name'),
             },
         });
         if (exists.length === 0) {
@@ -122,26 +122,23 @@ router.put('/:collectionId', [
  * Create new collection
  */
 router.post('/', [
-    body('nameNo').isString().isLength({ min: 1 }),
-    body('nameEn').isString().isLength({ min: 1 }),
+    oneOf([
+        [
+            body('nameNo').isString().isLength({ min: 1 }),
+            body('nameEn').isString().isLength({ min: 1 }),
+        ],
+        body('name').custom(hasLocalizedText),
+    ]),
     body('descriptionNo').isString().optional(),
     body('descriptionEn').isString().optional(),
+    body('description').custom(isLocalizedText).optional(),
     body('workgroupId').isInt(),
 ], isValidInput, isPermitted(['CREATE_COLLECTION']), async (req, res) => {
     try {
         if (res.locals.workgroups.includes(parseInt(req.body.workgroupId, 10))) {
             const exists = await CollectionInfo.findAll({
                 where: {
-                    [Sequelize.Op.or]: [
-                        {
-                            name: req.body.nameNo,
-                            languageCode: 'no',
-                        },
-                        {
-                            name: req.body.nameEn,
-                            languageCode: 'en',
-                        },
-                    ],
+                    [Sequelize.Op.or]: getLocalizedConditions(req.body, 'name'),
                 },
             });
             if (exists.length === 0) {
@@ -1,10 +1,13 @@
 import express from 'express';
 import { body, param } from 'express-validator';
 import Sequelize from 'sequelize';
+import postgres from '../config/postgres.js';
 import Editors from '../lib/database/models/Editors.js';
+import Key from '../lib/database/models/Key.js';
 import User from '../lib/database/models/User.js';
 import { isAuthenticated, isPermittedKey } from '../middleware/auth.js';
 import isValidInput from '../middleware/input.js';
+import KeyTransfers from '../models/KeyTransfers.js';
 import { logError } from '../utils/logger.js';
 
 /**
@@ -70,6 +73,72 @@ router.post('/', [
     }
 });
 
+/**
+ * Get ownership transfers for key
+ */
+router.get('/transfers/key/:keyId', [
+    param('keyId').isUUID(4),
+], isValidInput, isPermittedKey('SHARE_KEY'), async (req, res) => {
+    try {
+        const transfers = await KeyTransfers.findAll({
+            where: { keyId: req.params.keyId },
+            order: [['created_at', 'DESC']],
+        });
+        res.status(200).json(transfers);
+    } catch (err) {
+        logError('Could not get key ownership transfers', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Transfer key ownership to another user (only the key owner can transfer the key, and the
+ * previous owner can be kept as an editor)
+ */
+router.post('/transfer', [
+    body('keyId').isUUID(4),
+    body('email').isString().isLength({ min: 1 }),
+    body('confirm').isBoolean(),
+    body('keepAsEditor').isBoolean().optional(),
+], isValidInput, isPermittedKey('SHARE_KEY'), async (req, res) => {
+    try {
+        const key = await Key.findByPk(req.body.keyId);
+        if (!key || key.createdBy !== req.user) {
+            res.sendStatus(403);
+        } else if (req.body.confirm === true || req.body.confirm === 'true') {
+            const user = await User.findOne({
+                where: {
+                    email: { [Sequelize.Op.iLike]: req.body.email },
+                },
+            });
+            if (user && user.id !== key.createdBy) {
+                const previousOwner = key.createdBy;
+                await postgres.transaction(async (transaction) => {
+                    await key.update({ createdBy: user.id }, { transaction });
+                    await Editors.destroy({
+                        where: { keyId: key.id, userId: user.id },
+                        transaction,
+                    });
+                    if (req.body.keepAsEditor === true || req.body.keepAsEditor === 'true') {
+                        const defaults = { keyId: key.id, userId: previousOwner };
+                        await Editors.findOrCreate({ where: defaults, defaults, transaction });
+                    }
+                    await KeyTransfers.create({
+                        keyId: key.id,
+                        fromUserId: previousOwner,
+                        toUserId: user.id,
+                        transferredBy: req.user,
+                    }, { transaction });
+                });
+                res.sendStatus(200);
+            } else res.sendStatus(404);
+        } else res.status(400).json({ error: 'Transfer must be confirmed' });
+    } catch (err) {
+        logError('Could not transfer key ownership', err);
+        res.sendStatus(500);
+    }
+});
+
 /**
  * Remove key editor
  */
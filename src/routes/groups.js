@@ -1,5 +1,7 @@
 import express from 'express';
-import { body, param, query } from 'express-validator';
+import {
+    body, oneOf, param, query,
+} from 'express-validator';
 import Sequelize from 'sequelize';
 import Group from '../lib/database/models/Group.js';
 import GroupInfo from '../lib/database/models/GroupInfo.js';
@@ -8,6 +10,7 @@ import {
     createGroupInfo,
     getKeyGroupById, getKeyGroups, updateGroupInfos, updateGroupParents,
 } from '../utils/group.js';
+import { getLocalizedConditions, hasLocalizedText, isLocalizedText } from '../utils/language.js';
 import { logError } from '../utils/logger.js';
 import { getEntityMedia } from '../utils/media.js';
 import Media from '../lib/database/models/Media.js';
@@ -78,26 +81,23 @@ router.get('/:groupId', [
  */
 router.put('/:groupId', [
     param('groupId').isInt(),
-    body('nameNo').isString().isLength({ min: 1 }),
-    body('nameEn').isString().isLength({ min: 1 }),
+    oneOf([
+        [
+            body('nameNo').isString().isLength({ min: 1 }),
+            body('nameEn').isString().isLength({ min: 1 }),
+        ],
+        body('name').custom(hasLocalizedText),
+    ]),
     body('descriptionNo').isString().optional(),
     body('descriptionEn').isString().optional(),
+    body('description').custom(isLocalizedText).optional(),
     body('parentId').isInt().optional(),
 ], isValidInput, isPermitted(['EDIT_GROUP']), async (req, res) => {
     try {
         const exists = await GroupInfo.findAll({
             where: {
                 groupId: { [Sequelize.Op.not]: req.params.groupId },
-                [Sequelize.Op.or]: [
-                    {
-                        name: req.body.nameNo,
-                        languageCode: 'no',
-                    },
-                    {
-                        name: req.body.nameEn,
-                        languageCode: 'en',
-                    },
-                ],
+                [Sequelize.Op.or]: getLocalizedConditions(req.body, 'name'),
             },
         });
         if (exists.length === 0) {
@@ -123,25 +123,22 @@ router.put('/:groupId', [
  * Create new key group
  */
 router.post('/', [
-    body('nameNo').isString().isLength({ min: 1 }),
-    body('nameEn').isString().isLength({ min: 1 }),
+    oneOf([
+        [
+            body('nameNo').isString().isLength({ min: 1 }),
+            body('nameEn').isString().isLength({ min: 1 }),
+        ],
+        body('name').custom(hasLocalizedText),
+    ]),
     body('descriptionNo').isString().optional(),
     body('descriptionEn').isString().optional(),
+    body('description').custom(isLocalizedText).optional(),
     body('parentId').isInt().optional(),
 ], isValidInput, isPermitted(['CREATE_GROUP']), async (req, res) => {
     try {
         const exists = await GroupInfo.findAll({
             where: {
-                [Sequelize.Op.or]: [
-                    {
-                        name: req.body.nameNo,
-                        languageCode: 'no',
-                    },
-                    {
-                        name: req.body.nameEn,
-                        languageCode: 'en',
-                    },
-                ],
+                [Sequelize.Op.or]: getLocalizedConditions(req.body, 'name'),
             },
         });
         if (exists.length === 0) {
@@ -2,17 +2,29 @@ import express from 'express';
 import {
     body, oneOf, param, query,
 } from 'express-validator';
+import path from 'path';
 import Sequelize from 'sequelize';
 import Collections from '../lib/database/models/Collections.js';
 import Key from '../lib/database/models/Key.js';
 import KeyInfo from '../lib/database/models/KeyInfo.js';
 import { isAuthenticated, isPermitted, isPermittedKey } from '../middleware/auth.js';
+import importFiles from '../middleware/import.js';
 import isValidInput from '../middleware/input.js';
+import isKeyLanguage from '../middleware/language.js';
+import { createKeyBundle, getBundlePath, getKeyBundles } from '../utils/bundle.js';
+import cloneKey from '../utils/clone.js';
+import { parseDeltaFiles } from '../utils/delta.js';
+import { createKeyFromImport } from '../utils/import.js';
 import {
-    createKeyMetadata, getKey, getKeys, handleSetKeyInfo,
-    handleSetKeyLanguages, handleSetKeyPublishers, handleUpdateKey, isKeyEditor, updateCollections,
+    createKeyMetadata, deleteKey, getDerivedFrom, getHiddenKeys, getKey, getKeyFilters,
+    getKeyOrder, getKeys, handleSetKeyInfo, handleSetKeyLanguages, handleSetKeyPublishers,
+    handleUpdateKey, hideKey, isKeyEditor, restoreKey, updateCollections,
 } from '../utils/key.js';
+import { hasLocalizedText, isLanguageCode, isLocalizedText } from '../utils/language.js';
 import { logError } from '../utils/logger.js';
+import { getPagination, paginationQuery, setPaginationHeaders } from '../utils/pagination.js';
+import { parseSddDocument } from '../utils/sdd.js';
+import searchKeys from '../utils/search.js';
 
 /**
  * Routes for the key builder
@@ -20,14 +32,30 @@ import { logError } from '../utils/logger.js';
 const router = express.Router();
 router.use(isAuthenticated);
 
+/**
+ * Input validation for key filters
+ */
+const keyFilters = [
+    query('status').isIn(['PRIVATE', 'BETA', 'PUBLISHED']).optional(),
+    query('workgroupId').isInt().optional(),
+    query('groupId').isInt().optional(),
+    query('createdBy').isString().optional(),
+    query('createdAfter').isISO8601().optional(),
+    query('createdBefore').isISO8601().optional(),
+];
+
 /**
  * Get all keys
  */
 router.get('/', [
     query('language').isString().optional(),
+    ...keyFilters,
+    ...paginationQuery,
 ], isValidInput, isPermitted(['BROWSE_KEYS']), async (req, res) => {
     try {
-        const keys = await getKeys(req.user, req.query.language);
+        const pagination = getPagination(req.query);
+        const { count, keys } = await getKeys(req.user, req.query, pagination);
+        setPaginationHeaders(req, res, count, pagination);
         res.status(200).json(keys);
     } catch (err) {
         logError('Could not get keys', err);
@@ -35,6 +63,27 @@ router.get('/', [
     }
 });
 
+/**
+ * Search keys (key info, taxon names and character titles)
+ */
+router.get('/search', [
+    query('q').isString().isLength({ min: 1 }),
+    query('language').isString().optional(),
+    query('limit').isInt({ min: 1, max: 100 }).optional(),
+], isValidInput, isPermitted(['BROWSE_KEYS']), async (req, res) => {
+    try {
+        const keys = await searchKeys(
+            req.query.q,
+            req.query.language,
+            req.query.limit ? parseInt(req.query.limit, 10) : 20,
+        );
+        res.status(200).json(keys);
+    } catch (err) {
+        logError('Could not search keys', err);
+        res.sendStatus(500);
+    }
+});
+
 /**
  * Get key by ID
  */
@@ -53,6 +102,7 @@ router.get('/:keyId', [
             key.createdBy = true;
         } else key.createdBy = false;
         key.isEditor = await isKeyEditor(req.params.keyId, req.user);
+        key.derivedFrom = await getDerivedFrom(req.params.keyId);
         [key.languages, key.publishers, key.media, key.collections] = responses.slice(1);
         res.status(200).json(key);
     } catch (err) {
@@ -60,14 +110,72 @@ router.get('/:keyId', [
     }
 });
 
+/**
+ * Get list of published bundle versions for key
+ */
+router.get('/:keyId/bundles', [
+    param('keyId').isUUID(4),
+], isValidInput, isPermitted(['BROWSE_KEYS']), async (req, res) => {
+    try {
+        const bundles = await getKeyBundles(req.params.keyId);
+        res.status(200).json(bundles);
+    } catch (err) {
+        logError('Could not get key bundles', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Create bundle for the published version of the key (if it is missing, for example because
+ * bundle creation failed when the key was published)
+ */
+router.post('/:keyId/bundles', [
+    param('keyId').isUUID(4),
+], isValidInput, isPermittedKey('PUBLISH_KEY'), async (req, res) => {
+    try {
+        const key = await Key.findByPk(req.params.keyId);
+        if (key && key.status === 'PUBLISHED') {
+            const version = await createKeyBundle(req.params.keyId);
+            if (version) {
+                res.status(200).json({ version });
+            } else res.sendStatus(404);
+        } else res.sendStatus(409);
+    } catch (err) {
+        logError('Could not create key bundle', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Download key bundle (ZIP) for key version
+ */
+router.get('/:keyId/bundles/:version', [
+    param('keyId').isUUID(4),
+    param('version').isString().isLength({ min: 1 }),
+], isValidInput, isPermitted(['BROWSE_KEYS']), async (req, res) => {
+    try {
+        const filePath = getBundlePath(req.params.keyId, req.params.version);
+        if (filePath) {
+            res.download(path.resolve(filePath), `${req.params.keyId}-${req.params.version}.zip`);
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not get key bundle', err);
+        res.sendStatus(500);
+    }
+});
+
 /**
  * Get keys created by user
  */
 router.get('/user/session', [
     query('language').isString().optional(),
+    ...keyFilters,
+    ...paginationQuery,
 ], isValidInput, isPermitted(['BROWSE_KEYS']), async (req, res) => {
     try {
-        const keys = await getKeys(req.user, req.query.language, true);
+        const pagination = getPagination(req.query);
+        const { count, keys } = await getKeys(req.user, req.query, pagination, true);
+        setPaginationHeaders(req, res, count, pagination);
         res.status(200).json(keys);
     } catch (err) {
         logError('Could not get keys for user', err);
@@ -75,15 +183,56 @@ router.get('/user/session', [
     }
 });
 
+/**
+ * Get hidden keys created by user (trash)
+ */
+router.get('/user/trash', [
+    query('language').isString().optional(),
+], isValidInput, isPermitted(['BROWSE_KEYS']), async (req, res) => {
+    try {
+        const keys = await Key.findAll({
+            attributes: ['id'],
+            include: [
+                {
+                    model: KeyInfo,
+                    where: req.query.language ? { languageCode: req.query.language } : {},
+                    attributes: ['languageCode', 'title'],
+                },
+            ],
+            where: { createdBy: req.user, status: 'HIDDEN' },
+        });
+        const hiddenKeys = await getHiddenKeys(keys.map((key) => key.id));
+        const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+        res.status(200).json(keys.map((key) => {
+            const tmp = key.get({ plain: true });
+            const hiddenKey = hiddenKeys[key.id];
+            if (hiddenKey) {
+                tmp.previousStatus = hiddenKey.previousStatus;
+                tmp.hiddenAt = hiddenKey.hiddenAt;
+                if (days) {
+                    tmp.purgeAt = new Date(new Date(tmp.hiddenAt).getTime() + days * 86400000);
+                }
+            }
+            return tmp;
+        }).sort((a, b) => new Date(b.hiddenAt || 0) - new Date(a.hiddenAt || 0)));
+    } catch (err) {
+        logError('Could not get hidden keys for user', err);
+        res.sendStatus(500);
+    }
+});
+
 /**
  * Get keys by key group ID
  */
 router.get('/group/:groupId', [
     param('groupId').isInt(),
     query('language').isString().optional(),
+    ...keyFilters,
+    ...paginationQuery,
 ], isValidInput, isPermitted(['BROWSE_GROUPS']), async (req, res) => {
     try {
-        const keys = await Key.findAll({
+        const pagination = getPagination(req.query);
+        const { count, rows } = await Key.findAndCountAll({
             attributes: ['id', 'keyGroupId'],
             include: [
                 {
@@ -93,11 +242,16 @@ router.get('/group/:groupId', [
                 },
             ],
             where: {
+                ...getKeyFilters(req.query),
                 keyGroupId: req.params.groupId,
-                status: { [Sequelize.Op.not]: 'HIDDEN' },
             },
+            order: getKeyOrder(req.query.sort, req.query.order),
+            distinct: true,
+            limit: pagination.limit,
+            offset: pagination.offset,
         });
-        res.status(200).json(keys);
+        setPaginationHeaders(req, res, count, pagination);
+        res.status(200).json(rows);
     } catch (err) {
         logError('Could not get key', err);
         res.sendStatus(500);
@@ -110,9 +264,12 @@ router.get('/group/:groupId', [
 router.get('/collection/:collectionId', [
     param('collectionId').isInt(),
     query('language').isString().optional(),
+    ...keyFilters,
+    ...paginationQuery,
 ], isValidInput, isPermitted(['BROWSE_COLLECTIONS']), async (req, res) => {
     try {
-        const keys = await Collections.findAll({
+        const pagination = getPagination(req.query);
+        const { count, rows } = await Collections.findAndCountAll({
             attributes: ['id', 'collectionId'],
             include: [
                 {
@@ -123,11 +280,19 @@ router.get('/collection/:collectionId', [
                         where: req.query.language ? { languageCode: req.query.language } : {},
                         attributes: ['languageCode', 'title'],
                     },
+                    where: getKeyFilters(req.query),
                 },
             ],
             where: { collectionId: req.params.collectionId },
+            order: getKeyOrder(req.query.sort, req.query.order).map(
+                (element) => (typeof element[0] === 'string' ? [Key].concat(element) : element),
+            ),
+            distinct: true,
+            limit: pagination.limit,
+            offset: pagination.offset,
         });
-        res.status(200).json(keys);
+        setPaginationHeaders(req, res, count, pagination);
+        res.status(200).json(rows);
     } catch (err) {
         logError('Could not get key', err);
         res.sendStatus(500);
@@ -142,9 +307,11 @@ router.put('/:keyId', [
     oneOf([
         body('titleNo').isString().isLength({ min: 1 }),
         body('titleEn').isString().isLength({ min: 1 }),
+        body('title').custom(hasLocalizedText),
     ]),
     body('descriptionNo').isString().optional(),
     body('descriptionEn').isString().optional(),
+    body('description').custom(isLocalizedText).optional(),
     body('version').isString().optional(),
     body('status').custom((value) => {
         if (!['PRIVATE', 'BETA', 'PUBLISHED'].some((element) => element === value)) throw new Error('Invalid value');
@@ -159,7 +326,7 @@ router.put('/:keyId', [
     body('creators').isArray(),
     body('contributors').isArray(),
     body('publishers').isArray(),
-], isValidInput, isPermittedKey('EDIT_KEY_INFO'), async (req, res) => {
+], isValidInput, isPermittedKey('EDIT_KEY_INFO'), isKeyLanguage(['title', 'description'], [], true), async (req, res) => {
     try {
         if (req.body.status !== 'PRIVATE' || res.locals.permissions.includes('PUBLISH_KEY')) {
             const keys = await Key.findAll({
@@ -177,6 +344,13 @@ router.put('/:keyId', [
                 promises.push(handleSetKeyInfo(req.params.keyId, keys, req.body));
                 promises.push(updateCollections(req.params.keyId, req.body.collections));
                 await Promise.all(promises);
+                if (req.body.status === 'PUBLISHED') {
+                    try {
+                        await createKeyBundle(req.params.keyId);
+                    } catch (err) {
+                        logError('Could not create key bundle', err);
+                    }
+                }
                 res.sendStatus(200);
             } else res.sendStatus(404);
         } else res.sendStatus(403);
@@ -187,21 +361,13 @@ router.put('/:keyId', [
 });
 
 /**
- * Set key status to HIDDEN
+ * Set key status to HIDDEN (move key to trash)
  */
 router.put('/hide/:keyId', [
     param('keyId').isUUID(4),
 ], isValidInput, isPermitted(['EDIT_KEY_INFO']), async (req, res) => {
     try {
-        await Key.update(
-            { status: 'HIDDEN' },
-            {
-                where: {
-                    id: req.params.keyId,
-                    createdBy: req.user,
-                },
-            },
-        );
+        await hideKey(req.params.keyId, req.user);
         res.sendStatus(200);
     } catch (err) {
         logError('Could not hide key', err);
@@ -209,6 +375,43 @@ router.put('/hide/:keyId', [
     }
 });
 
+/**
+ * Restore hidden key to its previous status
+ */
+router.put('/restore/:keyId', [
+    param('keyId').isUUID(4),
+], isValidInput, isPermitted(['EDIT_KEY_INFO']), async (req, res) => {
+    try {
+        const restored = await restoreKey(req.params.keyId, req.user);
+        if (restored) {
+            res.sendStatus(200);
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not restore key', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Permanently delete key (only allowed for the key owner)
+ */
+router.delete('/:keyId', [
+    param('keyId').isUUID(4),
+], isValidInput, isPermitted(['EDIT_KEY_INFO']), async (req, res) => {
+    try {
+        const key = await Key.findByPk(req.params.keyId);
+        if (key) {
+            if (key.createdBy === req.user) {
+                await deleteKey(key.id);
+                res.sendStatus(200);
+            } else res.sendStatus(403);
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not delete key', err);
+        res.sendStatus(500);
+    }
+});
+
 /**
  * Create new key
  */
@@ -216,14 +419,16 @@ router.post('/', [
     oneOf([
         body('titleNo').isString().isLength({ min: 1 }),
         body('titleEn').isString().isLength({ min: 1 }),
+        body('title').custom(hasLocalizedText),
     ]),
     body('descriptionNo').isString().optional(),
     body('descriptionEn').isString().optional(),
+    body('description').custom(isLocalizedText).optional(),
     body('groupId').isInt().optional(),
     body('collections').isArray().optional(),
     body('workgroupId').isInt().optional(),
     body('languages').isArray(),
-], isValidInput, isPermitted(['CREATE_KEY']), async (req, res) => {
+], isValidInput, isPermitted(['CREATE_KEY']), isKeyLanguage(['title', 'description'], [], true), async (req, res) => {
     try {
         if (!req.body.workgroupId
             || res.locals.workgroups.includes(parseInt(req.body.workgroupId, 10))) {
@@ -242,4 +447,114 @@ router.post('/', [
     }
 });
 
+/**
+ * Clone key (metadata, media and current revision) to a new private key
+ */
+router.post('/:keyId/clone', [
+    param('keyId').isUUID(4),
+    body('workgroupId').isInt().optional(),
+], isValidInput, isPermitted(['CREATE_KEY']), async (req, res) => {
+    try {
+        if (!req.body.workgroupId
+            || res.locals.workgroups.includes(parseInt(req.body.workgroupId, 10))) {
+            const key = await Key.findOne({
+                where: {
+                    id: req.params.keyId,
+                    status: { [Sequelize.Op.not]: 'HIDDEN' },
+                },
+            });
+            if (key) {
+                if (['PUBLISHED', 'BETA'].includes(key.status) || key.createdBy === req.user
+                    || await isKeyEditor(key.id, req.user)) {
+                    const { keyId, revisionId } = await cloneKey(
+                        key,
+                        req.body.workgroupId,
+                        req.user,
+                    );
+                    res.status(200).json({ keyId, revisionId });
+                } else res.sendStatus(403);
+            } else res.sendStatus(404);
+        } else res.sendStatus(403);
+    } catch (err) {
+        logError('Could not clone key', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Create new key from SDD XML file
+ */
+router.post('/import/sdd', isPermitted(['CREATE_KEY']), importFiles(['file'], ['.xml', '.sdd']), [
+    body('groupId').isInt().optional(),
+    body('workgroupId').isInt().optional(),
+], isValidInput, async (req, res) => {
+    try {
+        if (!req.body.workgroupId
+            || res.locals.workgroups.includes(parseInt(req.body.workgroupId, 10))) {
+            let parsed;
+            try {
+                parsed = parseSddDocument(req.files.file[0].buffer.toString('utf8'));
+            } catch (err) {
+                parsed = undefined;
+            }
+            if (parsed) {
+                if (!Object.values(parsed.info).some((info) => info.title)) {
+                    parsed.info[parsed.languages[0]] = { title: req.files.file[0].originalname };
+                }
+                const { keyId, revisionId } = await createKeyFromImport(
+                    parsed,
+                    req.body,
+                    req.user,
+                    'Imported from SDD',
+                );
+                res.status(200).json({ keyId, revisionId, unmapped: parsed.unmapped });
+            } else res.status(400).json({ error: 'Invalid SDD document' });
+        } else res.sendStatus(403);
+    } catch (err) {
+        logError('Could not import key from SDD', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Create new key from DELTA specs, chars and items files
+ */
+router.post('/import/delta', isPermitted(['CREATE_KEY']), importFiles(['specs', 'chars', 'items'], ['', '.txt', '.dat']), [
+    body('groupId').isInt().optional(),
+    body('workgroupId').isInt().optional(),
+    body('language').custom(isLanguageCode).optional(),
+], isValidInput, async (req, res) => {
+    try {
+        if (!req.body.workgroupId
+            || res.locals.workgroups.includes(parseInt(req.body.workgroupId, 10))) {
+            const language = req.body.language || 'en';
+            let parsed;
+            try {
+                parsed = parseDeltaFiles({
+                    specs: req.files.specs[0].buffer.toString('utf8'),
+                    chars: req.files.chars[0].buffer.toString('utf8'),
+                    items: req.files.items[0].buffer.toString('utf8'),
+                }, language);
+            } catch (err) {
+                parsed = undefined;
+            }
+            if (parsed) {
+                if (!parsed.info[language].title) {
+                    parsed.info[language].title = req.files.items[0].originalname;
+                }
+                const { keyId, revisionId } = await createKeyFromImport(
+                    parsed,
+                    req.body,
+                    req.user,
+                    'Imported from DELTA',
+                );
+                res.status(200).json({ keyId, revisionId, unmapped: parsed.unmapped });
+            } else res.status(400).json({ error: 'Invalid DELTA files' });
+        } else res.sendStatus(403);
+    } catch (err) {
+        logError('Could not import key from DELTA', err);
+        res.sendStatus(500);
+    }
+});
+
 export default router;
@@ -8,6 +8,7 @@ import path from 'path';
 import KeyMedia from '../lib/database/models/KeyMedia.js';
 import upload from '../middleware/upload.js';
 import Media from '../lib/database/models/Media.js';
+import { hasLocalizedText } from '../utils/language.js';
 import { logError } from '../utils/logger.js';
 import {
     resizeImages, handleSetMediaInfo, deleteMedia,
@@ -19,6 +20,7 @@ import MediaInfo from '../lib/database/models/MediaInfo.js';
 import Revision from '../lib/database/models/Revision.js';
 import { isAuthenticated, isPermitted } from '../middleware/auth.js';
 import isValidInput from '../middleware/input.js';
+import { updateRevision } from '../utils/revision.js';
 
 /**
  * Routes for managing media
@@ -102,6 +104,7 @@ router.put('/:mediaId', [
     oneOf([
         body('titleNo').isString().isLength({ min: 1 }),
         body('titleEn').isString().isLength({ min: 1 }),
+        body('title').custom(hasLocalizedText),
         body('creators').isArray(),
         body('licenseUrl').isURL().optional({ nullable: true }),
     ]),
@@ -116,12 +119,7 @@ router.put('/:mediaId', [
                 creators: req.body.creators,
                 licenseUrl: req.body.licenseUrl,
             });
-            await handleSetMediaInfo(
-                req.params.mediaId,
-                mediaInfo,
-                req.body.titleNo,
-                req.body.titleEn,
-            );
+            await handleSetMediaInfo(req.params.mediaId, mediaInfo, req.body);
             res.sendStatus(200);
         } else res.sendStatus(404);
     } catch (err) {
@@ -139,6 +137,7 @@ router.put('/revision/:revisionId', [
     oneOf([
         body('titleNo').isString().isLength({ min: 1 }),
         body('titleEn').isString().isLength({ min: 1 }),
+        body('title').custom(hasLocalizedText),
         body('creators').isArray(),
         body('licenseUrl').isURL().optional({ nullable: true }),
     ]),
@@ -151,10 +150,7 @@ router.put('/revision/:revisionId', [
             if (!media.persons) media.persons = [];
             if (mediaElement) {
                 updateMediaElement(req.body, mediaElement, media);
-                await Revision.update(
-                    { media },
-                    { where: { id: req.params.revisionId } },
-                );
+                await updateRevision(req.params.revisionId, { media });
                 res.sendStatus(200);
             } else res.sendStatus(404);
         } else res.sendStatus(404);
@@ -273,11 +269,9 @@ router.delete(['/taxon', '/character', '/state'], [
         const { content, media } = revision;
         const { taxa, characters } = content;
         removeFromRevision(req.url, req.body, taxa, characters, media);
-        await Revision.update({
+        await updateRevision(req.body.revisionId, {
             content,
             media,
-        }, {
-            where: { id: req.body.revisionId },
         });
         res.sendStatus(200);
     } catch (err) {
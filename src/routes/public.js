@@ -0,0 +1,255 @@
+import express from 'express';
+import { param, query } from 'express-validator';
+import fs from 'fs';
+import path from 'path';
+import Sequelize from 'sequelize';
+import Key from '../lib/database/models/Key.js';
+import KeyInfo from '../lib/database/models/KeyInfo.js';
+import KeyMedia from '../lib/database/models/KeyMedia.js';
+import Languages from '../lib/database/models/Languages.js';
+import Media from '../lib/database/models/Media.js';
+import Publishers from '../lib/database/models/Publishers.js';
+import Revision from '../lib/database/models/Revision.js';
+import isValidInput from '../middleware/input.js';
+import { getBundlePath, getKeyBundles } from '../utils/bundle.js';
+import { getKeyOrder } from '../utils/key.js';
+import { logError } from '../utils/logger.js';
+import { getEntityMediaList, getKeyMedia } from '../utils/media.js';
+import { getPagination, paginationQuery, setPaginationHeaders } from '../utils/pagination.js';
+
+/**
+ * Public read-only routes for published (and beta) keys, no authentication required
+ */
+const router = express.Router();
+
+const publicAttributes = [
+    'id', 'version', 'status', 'creators', 'contributors', 'licenseUrl', 'keyGroupId', 'revisionId',
+];
+
+/**
+ * Get key statuses that are visible in the public API
+ *
+ * @param {Object} req Http request
+ * @returns {Array} Key statuses
+ */
+const getPublicStatuses = (req) => (req.query.beta === 'true' ? ['PUBLISHED', 'BETA'] : ['PUBLISHED']);
+
+/**
+ * Set Cache-Control header
+ *
+ * @param {Object} res Http response
+ * @param {int} maxAge Max age in seconds
+ * @param {boolean} immutable True if the resource never changes
+ */
+const setCache = (res, maxAge, immutable) => {
+    res.set('Cache-Control', `public, max-age=${maxAge}${immutable ? ', immutable' : ''}`);
+};
+
+/**
+ * Find public key by ID
+ *
+ * @param {Object} req Http request
+ * @returns {Object} Key (undefined if the key does not exist or is not public)
+ */
+const findPublicKey = (req) => Key.findOne({
+    attributes: publicAttributes,
+    where: {
+        id: req.params.keyId,
+        status: { [Sequelize.Op.in]: getPublicStatuses(req) },
+    },
+});
+
+/**
+ * Get published keys (and beta keys if beta=true)
+ */
+router.get('/keys', [
+    query('language').isString().optional(),
+    query('beta').isBoolean().optional(),
+    query('groupId').isInt().optional(),
+    ...paginationQuery,
+], isValidInput, async (req, res) => {
+    try {
+        const pagination = getPagination(req.query);
+        const { count, rows } = await Key.findAndCountAll({
+            attributes: publicAttributes,
+            include: [
+                {
+                    model: KeyInfo,
+                    where: req.query.language ? { languageCode: req.query.language } : {},
+                    attributes: ['languageCode', 'title', 'description'],
+                },
+            ],
+            where: req.query.groupId ? {
+                status: { [Sequelize.Op.in]: getPublicStatuses(req) },
+                keyGroupId: parseInt(req.query.groupId, 10),
+            } : { status: { [Sequelize.Op.in]: getPublicStatuses(req) } },
+            order: getKeyOrder(req.query.sort, req.query.order),
+            distinct: true,
+            limit: pagination.limit,
+            offset: pagination.offset,
+        });
+        const media = await getEntityMediaList(
+            'key_media',
+            'artsapp_key_id',
+            rows.map((key) => key.id),
+        );
+        setPaginationHeaders(req, res, count, pagination);
+        setCache(res, 300);
+        res.status(200).json(rows.map((key) => ({
+            ...key.get({ plain: true }),
+            media: media[key.id],
+        })));
+    } catch (err) {
+        logError('Could not get public keys', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Get published key metadata (key info, languages, publishers and media)
+ */
+router.get('/keys/:keyId', [
+    param('keyId').isUUID(4),
+    query('language').isString().optional(),
+    query('beta').isBoolean().optional(),
+], isValidInput, async (req, res) => {
+    try {
+        const key = await findPublicKey(req);
+        if (key) {
+            const responses = await Promise.all([
+                KeyInfo.findAll({
+                    attributes: ['languageCode', 'title', 'description'],
+                    where: req.query.language
+                        ? { keyId: key.id, languageCode: req.query.language } : { keyId: key.id },
+                }),
+                Languages.findAll({ where: { keyId: key.id } }),
+                Publishers.findAll({ where: { keyId: key.id } }),
+                getKeyMedia(key.id, req.query.language),
+                getKeyBundles(key.id),
+            ]);
+            setCache(res, 300);
+            res.status(200).json({
+                ...key.get({ plain: true }),
+                key_info: responses[0],
+                languages: responses[1].map((element) => element.languageCode),
+                publishers: responses[2].map((element) => element.organizationId),
+                media: responses[3],
+                bundles: responses[4].map((element) => element.version),
+            });
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not get public key', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Get accepted revision (content and media) for published key
+ */
+router.get('/keys/:keyId/revision', [
+    param('keyId').isUUID(4),
+    query('beta').isBoolean().optional(),
+], isValidInput, async (req, res) => {
+    try {
+        const key = await findPublicKey(req);
+        if (key && key.revisionId) {
+            const revision = await Revision.findByPk(key.revisionId, {
+                attributes: ['id', 'content', 'media'],
+            });
+            if (revision) {
+                setCache(res, 300);
+                res.status(200).json(revision);
+            } else res.sendStatus(404);
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not get public key revision', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Download bundle (ZIP) for published key version
+ */
+router.get('/keys/:keyId/bundles/:version', [
+    param('keyId').isUUID(4),
+    param('version').isString().isLength({ min: 1 }),
+    query('beta').isBoolean().optional(),
+], isValidInput, async (req, res) => {
+    try {
+        const key = await findPublicKey(req);
+        const filePath = key ? getBundlePath(key.id, req.params.version) : undefined;
+        if (filePath) {
+            setCache(res, 31536000, true);
+            res.download(path.resolve(filePath), `${key.id}-${req.params.version}.zip`);
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not get public key bundle', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Find media that belongs to a published key (key media, or media stored for the key)
+ *
+ * @param {Object} req Http request
+ * @returns {Object} Media (undefined if the media does not belong to a public key)
+ */
+const findPublicMedia = async (req) => {
+    const media = await Media.findByPk(req.params.mediaId);
+    if (!media) return undefined;
+    const keyMedia = await KeyMedia.findOne({ where: { mediaId: media.id } });
+    let keyId = keyMedia ? keyMedia.keyId : undefined;
+    const folder = `${process.env.MEDIA_PATH}/keys/`;
+    if (!keyId && media.filePath && media.filePath.startsWith(folder)) {
+        [keyId] = media.filePath.slice(folder.length).split('/');
+    }
+    if (!keyId) return undefined;
+    const key = await Key.findOne({
+        attributes: ['id'],
+        where: {
+            id: keyId,
+            status: { [Sequelize.Op.in]: getPublicStatuses(req) },
+        },
+    });
+    return key ? media : undefined;
+};
+
+/**
+ * Get media file for published key
+ */
+router.get('/media/:mediaId', [
+    param('mediaId').isInt(),
+    query('beta').isBoolean().optional(),
+], isValidInput, async (req, res) => {
+    try {
+        const media = await findPublicMedia(req);
+        if (media && media.filePath && fs.existsSync(media.filePath)) {
+            setCache(res, 86400);
+            res.sendFile(path.resolve(media.filePath));
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not get public media file', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Get media file thumbnail for published key
+ */
+router.get('/media/thumbnails/:mediaId', [
+    param('mediaId').isInt(),
+    query('beta').isBoolean().optional(),
+], isValidInput, async (req, res) => {
+    try {
+        const media = await findPublicMedia(req);
+        if (media && media.thumbnailPath && fs.existsSync(media.thumbnailPath)) {
+            setCache(res, 86400);
+            res.sendFile(path.resolve(media.thumbnailPath));
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not get public media file thumbnail', err);
+        res.sendStatus(500);
+    }
+});
+
+export default router;
@@ -1,13 +1,35 @@
 import express from 'express';
-import { body, param } from 'express-validator';
+import { body, param, query } from 'express-validator';
+import archiver from 'archiver';
+import path from 'path';
 import Sequelize from 'sequelize';
 import Key from '../lib/database/models/Key.js';
+import KeyInfo from '../lib/database/models/KeyInfo.js';
+import Languages from '../lib/database/models/Languages.js';
 import Revision from '../lib/database/models/Revision.js';
 import Revisions from '../lib/database/models/Revisions.js';
 import { isAuthenticated, isPermitted, isPermittedKey } from '../middleware/auth.js';
+import importFiles from '../middleware/import.js';
 import isValidInput from '../middleware/input.js';
+import isKeyLanguage from '../middleware/language.js';
+import { getSuggestions, identify } from '../utils/identification.js';
+import { createImportedContent } from '../utils/import.js';
+import { isLanguageCode } from '../utils/language.js';
 import { logError } from '../utils/logger.js';
-import { createRevision, findRevisionForKey } from '../utils/revision.js';
+import { createMatrixFile, parseMatrix } from '../utils/matrix.js';
+import mergeRevisions from '../utils/merge.js';
+import { getCharacterMetrics } from '../utils/metrics.js';
+import { createDeltaFiles } from '../utils/delta.js';
+import { diffRevisions } from '../utils/diff.js';
+import {
+    createDichotomousKey, renderDichotomousHtml, renderDichotomousText,
+} from '../utils/dichotomous.js';
+import createNexusDocument from '../utils/nexus.js';
+import { getIndistinguishableTaxa, validateRevision } from '../utils/quality.js';
+import {
+    createRevision, findKeyForRevision, findRevisionForKey, materializeRevision,
+} from '../utils/revision.js';
+import { createSddDocument } from '../utils/sdd.js';
 
 /**
  * Routes for the key builder
@@ -40,7 +62,276 @@ router.get('/:revisionId', [
 });
 
 /**
- * Get list of key revisions for key
+ * Export key revision as SDD 1.1 XML
+ */
+router.get('/:revisionId/sdd', [
+    param('revisionId').isUUID(4),
+], isValidInput, isPermitted(['BROWSE_KEYS']), async (req, res) => {
+    try {
+        const { revision, keyId } = await findKeyForRevision(req.params.revisionId);
+        if (revision) {
+            const keyInfo = await KeyInfo.findAll({ where: { keyId } });
+            const languages = await Languages.findAll({ where: { keyId } });
+            const xml = createSddDocument(
+                revision,
+                keyInfo,
+                languages.map((element) => element.languageCode),
+            );
+            res.set('Content-Disposition', `attachment; filename="${req.params.revisionId}.sdd.xml"`);
+            res.type('application/xml').status(200).send(xml);
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not export key revision as SDD', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Export key revision as DELTA specs, chars and items files (ZIP archive)
+ */
+router.get('/:revisionId/delta', [
+    param('revisionId').isUUID(4),
+    query('language').isString().optional(),
+], isValidInput, isPermitted(['BROWSE_KEYS']), async (req, res) => {
+    try {
+        const { revision, keyId } = await findKeyForRevision(req.params.revisionId);
+        if (revision) {
+            const language = req.query.language || 'en';
+            const keyInfo = await KeyInfo.findAll({ where: { keyId } });
+            const info = keyInfo.find((element) => element.languageCode === language)
+                || keyInfo[0];
+            const files = createDeltaFiles(revision, info ? info.title : '', language);
+            const archive = archiver('zip');
+            archive.on('error', (err) => {
+                logError('Could not create DELTA archive', err);
+                res.end();
+            });
+            res.attachment(`${req.params.revisionId}.delta.zip`);
+            archive.pipe(res);
+            Object.entries(files).forEach(([name, file]) => archive.append(file, { name }));
+            await archive.finalize();
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not export key revision as DELTA', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Export key revision as taxa x characters spreadsheet (XLSX or CSV)
+ */
+router.get('/:revisionId/matrix', [
+    param('revisionId').isUUID(4),
+    query('format').isIn(['xlsx', 'csv']).optional(),
+    query('language').isString().optional(),
+], isValidInput, isPermitted(['BROWSE_KEYS']), async (req, res) => {
+    try {
+        const { revision } = await findKeyForRevision(req.params.revisionId);
+        if (revision) {
+            const format = req.query.format || 'xlsx';
+            const file = await createMatrixFile(revision, format, req.query.language || 'en');
+            res.attachment(`${req.params.revisionId}.${format}`);
+            res.status(200).send(Buffer.from(file));
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not export key revision as spreadsheet', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Export key revision as NEXUS character matrix (numerical characters excluded or discretized)
+ */
+router.get('/:revisionId/nexus', [
+    param('revisionId').isUUID(4),
+    query('numerical').isIn(['exclude', 'discretize']).optional(),
+    query('language').isString().optional(),
+], isValidInput, isPermitted(['BROWSE_KEYS']), async (req, res) => {
+    try {
+        const { revision, keyId } = await findKeyForRevision(req.params.revisionId);
+        if (revision) {
+            const language = req.query.language || 'en';
+            const keyInfo = await KeyInfo.findAll({ where: { keyId } });
+            const info = keyInfo.find((element) => element.languageCode === language)
+                || keyInfo[0];
+            const nexus = createNexusDocument(revision, info ? info.title : '', {
+                numerical: req.query.numerical || 'exclude',
+                language,
+            });
+            res.attachment(`${req.params.revisionId}.nex`);
+            res.type('text/plain').status(200).send(nexus);
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not export key revision as NEXUS', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Generate dichotomous (single-access) key from key revision as JSON, text or HTML
+ */
+router.get('/:revisionId/dichotomous', [
+    param('revisionId').isUUID(4),
+    query('format').isIn(['json', 'text', 'html']).optional(),
+    query('language').isString().optional(),
+], isValidInput, isPermitted(['BROWSE_KEYS']), async (req, res) => {
+    try {
+        const { revision, keyId } = await findKeyForRevision(req.params.revisionId);
+        if (revision) {
+            const language = req.query.language || 'en';
+            const key = createDichotomousKey(revision.content || {}, language);
+            if (req.query.format === 'text') {
+                res.type('text/plain').status(200).send(renderDichotomousText(key));
+            } else if (req.query.format === 'html') {
+                const keyInfo = await KeyInfo.findAll({ where: { keyId } });
+                const info = keyInfo.find((element) => element.languageCode === language)
+                    || keyInfo[0];
+                res.type('text/html').status(200).send(
+                    renderDichotomousHtml(key, info ? info.title : ''),
+                );
+            } else res.status(200).json(key);
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not create dichotomous key', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Get quality validation report (warnings) for key revision
+ */
+router.get('/:revisionId/validation', [
+    param('revisionId').isUUID(4),
+], isValidInput, isPermitted(['BROWSE_KEYS']), async (req, res) => {
+    try {
+        const { revision, keyId } = await findKeyForRevision(req.params.revisionId);
+        if (revision) {
+            const languages = await Languages.findAll({ where: { keyId } });
+            res.status(200).json(validateRevision(
+                revision,
+                languages.map((element) => element.languageCode),
+            ));
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not validate key revision', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Get terminal taxa that cannot be separated by the characters in key revision
+ */
+router.get('/:revisionId/indistinguishable', [
+    param('revisionId').isUUID(4),
+], isValidInput, isPermitted(['BROWSE_KEYS']), async (req, res) => {
+    try {
+        const { revision } = await findKeyForRevision(req.params.revisionId);
+        if (revision) {
+            res.status(200).json(getIndistinguishableTaxa(revision.content || {}));
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not find indistinguishable taxa', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Get discriminating power metrics for the characters in key revision
+ */
+router.get('/:revisionId/metrics', [
+    param('revisionId').isUUID(4),
+    query('language').isString().optional(),
+], isValidInput, isPermitted(['BROWSE_KEYS']), async (req, res) => {
+    try {
+        const { revision } = await findKeyForRevision(req.params.revisionId);
+        if (revision) {
+            res.status(200).json(getCharacterMetrics(revision.content || {}, req.query.language));
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not get character metrics', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Identify taxa in key revision from chosen states and numerical values
+ */
+router.post('/:revisionId/identify', [
+    param('revisionId').isUUID(4),
+    body('answers').isArray(),
+    body('answers.*.characterId').isString(),
+    body('answers.*.stateIds').isArray().optional(),
+    body('answers.*.stateIds.*').isString(),
+    body('answers.*.value').isNumeric().optional(),
+    body('language').isString().optional(),
+], isValidInput, isPermitted(['BROWSE_KEYS']), async (req, res) => {
+    try {
+        const { revision } = await findKeyForRevision(req.params.revisionId);
+        if (revision) {
+            res.status(200).json(identify(
+                revision.content || {},
+                req.body.answers,
+                req.body.language,
+            ));
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not identify taxa', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Get characters to ask next in key revision, ranked by (weighted) information gain
+ */
+router.post('/:revisionId/suggestions', [
+    param('revisionId').isUUID(4),
+    body('answers').isArray(),
+    body('answers.*.characterId').isString(),
+    body('answers.*.stateIds').isArray().optional(),
+    body('answers.*.stateIds.*').isString(),
+    body('answers.*.value').isNumeric().optional(),
+    body('weighted').isBoolean().toBoolean().optional(),
+    body('language').isString().optional(),
+], isValidInput, isPermitted(['BROWSE_KEYS']), async (req, res) => {
+    try {
+        const { revision } = await findKeyForRevision(req.params.revisionId);
+        if (revision) {
+            res.status(200).json(getSuggestions(
+                revision.content || {},
+                req.body.answers,
+                req.body.weighted !== false,
+                req.body.language,
+            ));
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not get suggested characters', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Compare key revision with another revision of the same key
+ */
+router.get('/:revisionId/diff/:otherRevisionId', [
+    param('revisionId').isUUID(4),
+    param('otherRevisionId').isUUID(4),
+], isValidInput, isPermitted(['BROWSE_KEYS']), async (req, res) => {
+    try {
+        const { revision, keyId } = await findKeyForRevision(req.params.revisionId);
+        const other = await findKeyForRevision(req.params.otherRevisionId);
+        if (revision && other.revision) {
+            if (keyId === other.keyId) {
+                res.status(200).json(diffRevisions(revision, other.revision));
+            } else res.status(400).json({ error: 'Revisions do not belong to the same key' });
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not compare key revisions', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Get list of key revisions for key (without content and media, get each revision for that)
  */
 router.get('/key/:keyId', [
     param('keyId').isUUID(4),
@@ -52,7 +343,7 @@ router.get('/key/:keyId', [
         if (keyRevisions && keyRevisions.length > 0) {
             const revisions = await Revision.findAll({
                 attributes: {
-                    exclude: ['created_by'],
+                    exclude: ['created_by', 'content', 'media'],
                 },
                 order: [['created_at', 'DESC']],
                 where: {
@@ -160,4 +451,129 @@ router.post('/', [
     }
 });
 
+/**
+ * Merge two revisions of a key with their common ancestor (three-way merge)
+ */
+router.post('/merge', [
+    body('keyId').isUUID(4),
+    body('revisionId').isUUID(4),
+    body('otherRevisionId').isUUID(4),
+    body('baseRevisionId').isUUID(4),
+], isValidInput, isPermittedKey('EDIT_KEY'), async (req, res) => {
+    try {
+        const { revision, key } = await findRevisionForKey(req.body.revisionId, req.body.keyId);
+        const other = await findRevisionForKey(req.body.otherRevisionId, req.body.keyId);
+        const base = await findRevisionForKey(req.body.baseRevisionId, req.body.keyId);
+        if (key && revision && other.revision && base.revision) {
+            const { content, media, conflicts } = mergeRevisions(
+                base.revision,
+                revision,
+                other.revision,
+            );
+            const revisionId = await createRevision(
+                key,
+                content,
+                media,
+                req.user,
+                `Merged revisions ${req.body.revisionId} and ${req.body.otherRevisionId}`,
+                revision.mode,
+            );
+            res.status(200).json({ revisionId, conflicts });
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not merge revisions', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Revert key to an earlier revision (creates a new revision with the same content and media,
+ * and optionally sets it as the accepted revision)
+ */
+router.post('/revert/:revisionId', [
+    param('revisionId').isUUID(4),
+    body('keyId').isUUID(4),
+    body('accept').isBoolean().optional(),
+], isValidInput, isPermittedKey('EDIT_KEY'), (req, res, next) => {
+    if (req.body.accept === true || req.body.accept === 'true') {
+        isPermittedKey('PUBLISH_KEY')(req, res, next);
+    } else next();
+}, async (req, res) => {
+    try {
+        const { revision, key } = await findRevisionForKey(req.params.revisionId, req.body.keyId);
+        if (key && revision) {
+            const revisionId = await createRevision(
+                key,
+                revision.content,
+                revision.media,
+                req.user,
+                `Reverted to revision ${req.params.revisionId}`,
+                revision.mode,
+            );
+            if ((req.body.accept === true || req.body.accept === 'true')
+                && key.revisionId !== revisionId) {
+                await Revision.update({ status: 'ACCEPTED' }, { where: { id: revisionId } });
+                await key.update({ revisionId });
+                await materializeRevision(revisionId);
+            }
+            res.status(200).json(revisionId);
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not revert key to revision', err);
+        res.sendStatus(500);
+    }
+});
+
+/**
+ * Create new revision from taxa x characters matrix file (XLSX or CSV). The media of the
+ * current revision is kept.
+ */
+router.post('/import/matrix/:keyId', [
+    param('keyId').isUUID(4),
+], isValidInput, isPermittedKey('EDIT_KEY'), importFiles(['file'], ['.xlsx', '.csv']), [
+    body('language').custom(isLanguageCode).optional(),
+    body('dryRun').isBoolean().optional(),
+], isValidInput, isKeyLanguage([], ['language']), async (req, res) => {
+    try {
+        const key = await Key.findByPk(req.params.keyId);
+        if (key) {
+            const file = req.files.file[0];
+            let response;
+            try {
+                response = await parseMatrix(
+                    file.buffer,
+                    path.extname(file.originalname).toLowerCase(),
+                    req.body.language || 'en',
+                );
+            } catch (err) {
+                response = { errors: [{ message: 'Could not read file' }] };
+            }
+            const { parsed, errors } = response;
+            if (req.body.dryRun === 'true' || req.body.dryRun === true) {
+                res.status(200).json({
+                    errors,
+                    taxa: parsed ? parsed.taxa.length : 0,
+                    characters: parsed ? parsed.characters.length : 0,
+                    statements: parsed ? parsed.statements.length : 0,
+                });
+            } else if (errors.length === 0) {
+                const content = await createImportedContent(key.id, parsed);
+                const current = key.revisionId && await Revision.findByPk(key.revisionId);
+                const revisionId = await createRevision(
+                    key,
+                    content,
+                    (current && current.media) || {},
+                    req.user,
+                    `Imported character matrix: ${file.originalname}`,
+                    current ? current.mode : undefined,
+                );
+                res.status(200).json(revisionId);
+            } else res.status(400).json({ errors });
+        } else res.sendStatus(404);
+    } catch (err) {
+        logError('Could not import character matrix', err);
+        res.sendStatus(500);
+    }
+});
+
 export default router;
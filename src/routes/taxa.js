@@ -2,6 +2,7 @@ import express from 'express';
 import { body, param, query } from 'express-validator';
 import axios from 'axios';
 import Taxon from '../lib/database/models/Taxon.js';
+import { isLocalizedText } from '../utils/language.js';
 import { logError } from '../utils/logger.js';
 import { createRevision, findRevisionForKey } from '../utils/revision.js';
 import {
@@ -9,6 +10,7 @@ import {
 } from '../utils/taxon.js';
 import { isAuthenticated, isPermitted, isPermittedKey } from '../middleware/auth.js';
 import isValidInput from '../middleware/input.js';
+import isKeyLanguage from '../middleware/language.js';
 
 /**
  * Routes for characters
@@ -73,8 +75,10 @@ router.put('/:taxonId', [
     body('vernacularNameNo').isString().optional(),
     body('descriptionNo').isString().optional(),
     body('descriptionEn').isString().optional(),
+    body('vernacularName').custom(isLocalizedText).optional(),
+    body('description').custom(isLocalizedText).optional(),
     body('parentId').isInt().optional(),
-], isValidInput, isPermittedKey('EDIT_KEY'), async (req, res) => {
+], isValidInput, isPermittedKey('EDIT_KEY'), isKeyLanguage(['vernacularName', 'description']), async (req, res) => {
     try {
         const { revision, key } = await findRevisionForKey(req.body.revisionId, req.body.keyId);
         if (key && revision) {
@@ -138,8 +142,10 @@ router.post('/', [
     body('vernacularNameEn').isString().optional(),
     body('descriptionNo').isString().optional(),
     body('descriptionEn').isString().optional(),
+    body('vernacularName').custom(isLocalizedText).optional(),
+    body('description').custom(isLocalizedText).optional(),
     body('parentId').isInt().optional(),
-], isValidInput, isPermittedKey('EDIT_KEY'), async (req, res) => {
+], isValidInput, isPermittedKey('EDIT_KEY'), isKeyLanguage(['vernacularName', 'description']), async (req, res) => {
     try {
         const { revision, key } = await findRevisionForKey(req.body.revisionId, req.body.keyId);
         if (key && revision) {
@@ -0,0 +1,185 @@
+import 'core-js/stable';
+import 'regenerator-runtime/runtime';
+import { deepClone } from 'fast-json-patch';
+import { logInfo } from '../utils/logger.js';
+import {
+    applyRevisionPatch, createDocument, encodeRevision, getSnapshotInterval,
+} from '../utils/snapshot.js';
+
+/**
+ * Benchmark revision storage (full copies compared to snapshots and JSON patch deltas) on a
+ * generated key. Options: --taxa=500 --characters=60 --states=4 --edits=200
+ */
+
+/**
+ * Get numeric command line option
+ *
+ * @param {string} name Option name
+ * @param {int} value Default value
+ * @returns {int} Option value
+ */
+const getOption = (name, value) => {
+    const arg = process.argv.find((element) => element.startsWith(`--${name}=`));
+    return arg ? parseInt(arg.split('=')[1], 10) : value;
+};
+
+/**
+ * Create pseudo-random number generator (same sequence for every run)
+ *
+ * @param {int} seed Seed
+ * @returns {Function} Function that returns a number between 0 and 1
+ */
+const createRandom = (seed) => {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+};
+
+const random = createRandom(42);
+
+/**
+ * Get random integer
+ *
+ * @param {int} max Upper bound (exclusive)
+ * @returns {int} Integer
+ */
+const randomInt = (max) => Math.floor(random() * max);
+
+/**
+ * Generate key content with taxa, characters and one statement per taxon and character
+ *
+ * @param {int} taxa Number of taxa
+ * @param {int} characters Number of characters
+ * @param {int} states Number of states for each character
+ * @returns {Object} Revision document
+ */
+const generateDocument = (taxa, characters, states) => {
+    const content = { taxa: [], characters: [], statements: [] };
+    for (let i = 0; i < characters; i += 1) {
+        content.characters.push({
+            id: `character-${i}`,
+            type: 'multistate',
+            title: { en: `Character ${i}`, no: `Karakter ${i}` },
+            description: { en: `Description of character ${i}` },
+            states: Array.from({ length: states }, (value, j) => ({
+                id: `state-${i}-${j}`,
+                title: { en: `State ${j}`, no: `Tilstand ${j}` },
+            })),
+        });
+    }
+    for (let i = 0; i < taxa; i += 1) {
+        content.taxa.push({
+            id: `taxon-${i}`,
+            scientificName: `Genus species${i}`,
+            vernacularName: { en: `Species ${i}`, no: `Art ${i}` },
+        });
+        content.characters.forEach((character) => {
+            content.statements.push({
+                id: `statement-${i}-${character.id}`,
+                taxonId: `taxon-${i}`,
+                characterId: character.id,
+                state: character.states[randomInt(states)].id,
+            });
+        });
+    }
+    return createDocument(content, { mediaElements: [], persons: [] });
+};
+
+/**
+ * Make a random edit like the ones made through the API (statement, character, taxon,
+ * premise or media changes)
+ *
+ * @param {Object} document Revision document (modified)
+ * @param {int} index Edit number
+ */
+const editDocument = (document, index) => {
+    const { content, media } = document;
+    const character = content.characters[randomInt(content.characters.length)];
+    switch (index % 5) {
+        case 0: {
+            const statement = content.statements[randomInt(content.statements.length)];
+            const { states } = content.characters
+                .find((element) => element.id === statement.characterId);
+            statement.state = states[randomInt(states.length)].id;
+            break;
+        }
+        case 1:
+            character.title.en = `Character ${index}`;
+            break;
+        case 2:
+            content.taxa.push({
+                id: `taxon-new-${index}`,
+                scientificName: `Genus new${index}`,
+                vernacularName: { en: `New species ${index}` },
+            });
+            break;
+        case 3:
+            character.logicalPremise = ['AND', ['OR', {
+                characterId: content.characters[0].id,
+                stateId: content.characters[0].states[0].id,
+            }]];
+            break;
+        default:
+            media.mediaElements.push({
+                id: `${index}`, title: { en: `Image ${index}` }, license: 'https://creativecommons.org/licenses/by/4.0/',
+            });
+    }
+};
+
+/**
+ * Get JSON size in bytes
+ *
+ * @param {Object} value Value
+ * @returns {int} Size in bytes
+ */
+const getSize = (value) => (value ? Buffer.byteLength(JSON.stringify(value)) : 0);
+
+/**
+ * Run benchmark
+ */
+const run = () => {
+    const options = {
+        taxa: getOption('taxa', 500),
+        characters: getOption('characters', 60),
+        states: getOption('states', 4),
+        edits: getOption('edits', 200),
+    };
+    let document = generateDocument(options.taxa, options.characters, options.states);
+    const stored = [];
+    let parent;
+    let fullSize = 0;
+    let encodeTime = 0;
+    let deepest = { index: 0, depth: 0, document };
+    for (let i = 0; i <= options.edits; i += 1) {
+        if (i > 0) {
+            document = deepClone(document);
+            editDocument(document, i);
+        }
+        const start = process.hrtime.bigint();
+        const values = encodeRevision(document, parent);
+        encodeTime += Number(process.hrtime.bigint() - start) / 1e6;
+        stored.push(values);
+        if (values.depth >= deepest.depth) deepest = { index: i, depth: values.depth, document };
+        fullSize += getSize(document.content) + getSize(document.media);
+        parent = { id: i, depth: values.depth, document };
+    }
+    const deltaSize = stored.reduce((sum, values) => sum + getSize(values.content)
+        + getSize(values.media) + getSize(values.patch), 0);
+    const rebuild = (index) => (stored[index].patch
+        ? applyRevisionPatch(rebuild(stored[index].parentId), stored[index].patch)
+        : createDocument(stored[index].content, stored[index].media));
+    const start = process.hrtime.bigint();
+    const rebuilt = rebuild(deepest.index);
+    const rebuildTime = Number(process.hrtime.bigint() - start) / 1e6;
+    const snapshots = stored.filter((values) => !values.patch).length;
+    logInfo(`Key: ${options.taxa} taxa, ${options.characters} characters, ${options.taxa * options.characters} statements, ${options.edits} edits (snapshot interval ${getSnapshotInterval()})`);
+    logInfo(`Full copies: ${(fullSize / 1e6).toFixed(2)} MB`);
+    logInfo(`Snapshots and deltas: ${(deltaSize / 1e6).toFixed(2)} MB (${snapshots} snapshots, ${stored.length - snapshots} deltas, ${((deltaSize / fullSize) * 100).toFixed(1)}% of full copies)`);
+    logInfo(`Average encode time: ${(encodeTime / stored.length).toFixed(1)} ms`);
+    logInfo(`Rebuild time for deepest delta (depth ${deepest.depth}): ${rebuildTime.toFixed(1)} ms`);
+    logInfo(`Rebuilt revision matches: ${JSON.stringify(rebuilt) === JSON.stringify(deepest.document)}`);
+};
+
+run();
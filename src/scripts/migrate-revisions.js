@@ -0,0 +1,115 @@
+import 'core-js/stable';
+import 'regenerator-runtime/runtime';
+import Sequelize from 'sequelize';
+import postgres from '../config/postgres.js';
+import Key from '../lib/database/models/Key.js';
+import Revision from '../lib/database/models/Revision.js';
+import Revisions from '../lib/database/models/Revisions.js';
+import RevisionDeltas from '../models/RevisionDeltas.js';
+import { logError, logInfo } from '../utils/logger.js';
+import { storeRevision } from '../utils/revision.js';
+import { createDocument, encodeRevision } from '../utils/snapshot.js';
+
+/**
+ * Migrate revisions stored as full content copies to snapshots and JSON patch deltas.
+ * Run with --dry-run to only report the storage size before and after (no changes are made).
+ */
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Get size of stored revision fields in bytes
+ *
+ * @param {Object} values Revision fields (content, media and patch)
+ * @returns {int} Size in bytes
+ */
+const getSize = (values) => ['content', 'media', 'patch'].reduce(
+    (sum, field) => sum + (values[field] ? Buffer.byteLength(JSON.stringify(values[field])) : 0),
+    0,
+);
+
+/**
+ * Check if the table for delta revisions exists
+ *
+ * @returns {boolean} True if the table exists
+ */
+const hasDeltaTable = async () => {
+    try {
+        await postgres.getQueryInterface().describeTable(RevisionDeltas.getTableName());
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+/**
+ * Migrate revisions for a key (oldest first, each revision is stored as a delta against the
+ * previous one, and the accepted revision is always stored as a full snapshot). Keys that
+ * already have delta revisions are skipped.
+ *
+ * @param {Object} key Key
+ * @param {boolean} hasDeltas True if the delta table exists
+ * @returns {Object} Number of revisions and size before and after
+ */
+const migrateKey = async (key, hasDeltas) => {
+    const keyRevisions = await Revisions.findAll({ where: { keyId: key.id } });
+    const revisionIds = keyRevisions.map((element) => element.revisionId);
+    const stats = { revisions: 0, before: 0, after: 0 };
+    if (hasDeltas) {
+        const deltas = await RevisionDeltas.count({
+            where: { revisionId: { [Sequelize.Op.in]: revisionIds } },
+        });
+        if (deltas > 0) return stats;
+    }
+    const revisions = await Revision.findAll({
+        attributes: ['id', 'content', 'media'],
+        where: { id: { [Sequelize.Op.in]: revisionIds } },
+        order: [['created_at', 'ASC']],
+        hooks: false,
+    });
+    stats.revisions = revisions.length;
+    let parent;
+    const updates = revisions.map((revision) => {
+        const document = createDocument(revision.content, revision.media);
+        const isAccepted = revision.id === key.revisionId;
+        const values = encodeRevision(document, isAccepted ? undefined : parent);
+        parent = { id: revision.id, depth: values.depth, document };
+        stats.before += getSize(revision);
+        stats.after += getSize(values);
+        return { id: revision.id, values };
+    });
+    if (!dryRun) {
+        await postgres.transaction(async (transaction) => {
+            await updates.reduce((promise, update) => promise.then(() => storeRevision(
+                update.id,
+                update.values,
+                transaction,
+            )), Promise.resolve());
+        });
+    }
+    return stats;
+};
+
+/**
+ * Migrate revisions for all keys
+ */
+const run = async () => {
+    try {
+        await postgres.authenticate();
+        if (!dryRun) await RevisionDeltas.sync();
+        const hasDeltas = await hasDeltaTable();
+        const keys = await Key.findAll({ attributes: ['id', 'revisionId'] });
+        const total = { revisions: 0, before: 0, after: 0 };
+        await keys.reduce((promise, key) => promise.then(async () => {
+            const stats = await migrateKey(key, hasDeltas);
+            Object.keys(total).forEach((field) => { total[field] += stats[field]; });
+            logInfo(`Migrated ${stats.revisions} revisions for key ${key.id} (${stats.before} -> ${stats.after} bytes)`);
+        }), Promise.resolve());
+        logInfo(`${dryRun ? 'Dry run: ' : ''}Migrated ${total.revisions} revisions for ${keys.length} keys (${total.before} -> ${total.after} bytes)`);
+        await postgres.close();
+    } catch (err) {
+        logError('Could not migrate revisions', err);
+        process.exitCode = 1;
+    }
+};
+
+run();
@@ -0,0 +1,207 @@
+import archiver from 'archiver';
+import fs from 'fs';
+import path from 'path';
+import Sequelize from 'sequelize';
+import Key from '../lib/database/models/Key.js';
+import KeyInfo from '../lib/database/models/KeyInfo.js';
+import KeyMedia from '../lib/database/models/KeyMedia.js';
+import Languages from '../lib/database/models/Languages.js';
+import Media from '../lib/database/models/Media.js';
+import Publishers from '../lib/database/models/Publishers.js';
+import Revision from '../lib/database/models/Revision.js';
+
+/**
+ * Get folder for key bundles
+ *
+ * @param {string} keyId Key ID
+ * @returns {string} Folder path
+ */
+const getBundleFolder = (keyId) => `${process.env.MEDIA_PATH}/bundles/${keyId}`;
+
+/**
+ * Get bundle version name (key version and revision ID, so a new revision published under
+ * the same key version gets a new bundle)
+ *
+ * @param {Object} key Key
+ * @returns {string} Version name safe for use in file names
+ */
+const getBundleVersion = (key) => `${key.version ? `${key.version}-` : ''}${key.revisionId}`
+    .replace(/[^A-Za-z0-9._-]/g, '_');
+
+/**
+ * Get path to key bundle file
+ *
+ * @param {string} keyId Key ID
+ * @param {string} version Bundle version
+ * @returns {string} File path (undefined if the bundle does not exist)
+ */
+export const getBundlePath = (keyId, version) => {
+    if (!/^[A-Za-z0-9._-]+$/.test(version) || version.startsWith('.')) return undefined;
+    const filePath = `${getBundleFolder(keyId)}/${version}.zip`;
+    if (fs.existsSync(filePath)) return filePath;
+    return undefined;
+};
+
+/**
+ * Get list of bundle versions for key
+ *
+ * @param {string} keyId Key ID
+ * @returns {Array} Bundle versions with creation time, newest first
+ */
+export const getKeyBundles = async (keyId) => {
+    const folder = getBundleFolder(keyId);
+    if (!fs.existsSync(folder)) return [];
+    const files = await fs.promises.readdir(folder);
+    const bundles = await Promise.all(files.filter((file) => file.endsWith('.zip'))
+        .map(async (file) => {
+            const stats = await fs.promises.stat(`${folder}/${file}`);
+            return { version: file.slice(0, -4), createdAt: stats.mtime, size: stats.size };
+        }));
+    return bundles.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Get localized key info as text objects
+ *
+ * @param {Array} keyInfo Key info entries
+ * @param {string} field Field name
+ * @returns {Object} Text by language code
+ */
+const getInfoText = (keyInfo, field) => {
+    const text = {};
+    keyInfo.forEach((info) => {
+        if (info[field]) text[info.languageCode] = info[field];
+    });
+    return text;
+};
+
+/**
+ * Get paths to media file and thumbnail in bundle
+ *
+ * @param {Array} media Media entries included in the bundle
+ * @param {string} id Media ID
+ * @returns {Object} File and thumbnail paths
+ */
+const getBundleFiles = (media, id) => {
+    const file = media.find((entry) => `${entry.id}` === `${id}`);
+    return {
+        file: file && file.fileName ? `media/${file.fileName}` : undefined,
+        thumbnail: file && file.thumbnailPath
+            ? `media/thumbnails/${path.basename(file.thumbnailPath)}` : undefined,
+    };
+};
+
+/**
+ * Create key description (metadata, revision content and media references) for bundle
+ *
+ * @param {Object} key Key
+ * @param {Object} revision Accepted revision
+ * @param {Array} media Media entries included in the bundle
+ * @returns {Object} Key description
+ */
+const createBundleKey = async (key, revision, media) => {
+    const responses = await Promise.all([
+        KeyInfo.findAll({ where: { keyId: key.id } }),
+        Languages.findAll({ where: { keyId: key.id } }),
+        Publishers.findAll({ where: { keyId: key.id } }),
+        KeyMedia.findAll({ where: { keyId: key.id } }),
+    ]);
+    const revisionMedia = revision.media || {};
+    const content = revision.content || {};
+    return {
+        id: key.id,
+        version: key.version,
+        revisionId: revision.id,
+        status: key.status,
+        title: getInfoText(responses[0], 'title'),
+        description: getInfoText(responses[0], 'description'),
+        languages: responses[1].map((element) => element.languageCode),
+        publishers: responses[2].map((element) => element.organizationId),
+        creators: key.creators,
+        contributors: key.contributors,
+        licenseUrl: key.licenseUrl,
+        media: responses[3].map((element) => ({
+            id: `${element.mediaId}`,
+            ...getBundleFiles(media, element.mediaId),
+        })),
+        taxa: content.taxa || [],
+        characters: content.characters || [],
+        statements: content.statements || [],
+        mediaElements: (revisionMedia.mediaElements || []).map((element) => ({
+            ...element,
+            ...getBundleFiles(media, element.id),
+        })),
+        persons: revisionMedia.persons || [],
+        createdAt: new Date().toISOString(),
+    };
+};
+
+/**
+ * Write bundle ZIP archive (written to a temporary file that is renamed when complete, and
+ * removed if writing fails)
+ *
+ * @param {string} filePath Bundle file path
+ * @param {Object} bundleKey Key description
+ * @param {Array} media Media entries
+ */
+const writeBundle = (filePath, bundleKey, media) => new Promise((resolve, reject) => {
+    const tmpPath = `${filePath}.tmp`;
+    const output = fs.createWriteStream(tmpPath);
+    const archive = archiver('zip');
+    let failed = false;
+    const fail = (err) => {
+        if (failed) return;
+        failed = true;
+        archive.abort();
+        output.destroy();
+        fs.promises.rm(tmpPath, { force: true }).finally(() => reject(err));
+    };
+    output.on('close', () => {
+        if (failed) return;
+        fs.promises.rename(tmpPath, filePath).then(() => resolve()).catch((err) => fail(err));
+    });
+    output.on('error', (err) => fail(err));
+    archive.on('error', (err) => fail(err));
+    archive.pipe(output);
+    archive.append(JSON.stringify(bundleKey), { name: 'key.json' });
+    media.forEach((element) => {
+        if (element.filePath && fs.existsSync(element.filePath)) {
+            archive.file(element.filePath, { name: `media/${element.fileName}` });
+        }
+        if (element.thumbnailPath && fs.existsSync(element.thumbnailPath)) {
+            archive.file(element.thumbnailPath, {
+                name: `media/thumbnails/${path.basename(element.thumbnailPath)}`,
+            });
+        }
+    });
+    archive.finalize();
+});
+
+/**
+ * Create bundle for the accepted revision of a key (ZIP with key.json and media files).
+ * Bundles are immutable, so an existing bundle for the key version and revision is kept.
+ *
+ * @param {string} keyId Key ID
+ * @returns {string} Bundle version (undefined if the key has no accepted revision)
+ */
+export const createKeyBundle = async (keyId) => {
+    const key = await Key.findByPk(keyId);
+    if (!key || !key.revisionId) return undefined;
+    const version = getBundleVersion(key);
+    const filePath = `${getBundleFolder(keyId)}/${version}.zip`;
+    if (fs.existsSync(filePath)) return version;
+    const revision = await Revision.findByPk(key.revisionId);
+    const keyMedia = await KeyMedia.findAll({ where: { keyId } });
+    const mediaIds = keyMedia.map((element) => element.mediaId).concat(
+        ((revision.media && revision.media.mediaElements) || [])
+            .map((element) => parseInt(element.id, 10))
+            .filter((id) => !Number.isNaN(id)),
+    );
+    const media = await Media.findAll({
+        where: { id: { [Sequelize.Op.in]: [...new Set(mediaIds)] } },
+    });
+    const bundleKey = await createBundleKey(key, revision, media);
+    await fs.promises.mkdir(getBundleFolder(keyId), { recursive: true });
+    await writeBundle(filePath, bundleKey, media);
+    return version;
+};
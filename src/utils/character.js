@@ -1,4 +1,5 @@
 import CharacterState from '../lib/database/models/CharacterState.js';
+import { getLocalizedText } from './language.js';
 
 /**
  * Set character titles and descriptions
@@ -9,12 +10,8 @@ import CharacterState from '../lib/database/models/CharacterState.js';
  */
 export const setCharacterInfo = (character, body) => {
     const char = character;
-    if (!char.title) char.title = {};
-    if (!char.description) char.description = {};
-    if (body.titleNo) char.title.no = body.titleNo;
-    if (body.titleEn) char.title.en = body.titleEn;
-    if (body.descriptionNo) char.description.no = body.descriptionNo;
-    if (body.descriptionEn) char.description.en = body.descriptionEn;
+    char.title = { ...char.title, ...getLocalizedText(body, 'title') };
+    char.description = { ...char.description, ...getLocalizedText(body, 'description') };
     return char;
 };
 
@@ -36,21 +33,10 @@ export const createMultiStates = async (
                 { where: { id: alternative.id } },
             ).then((response) => {
                 if (response[0]) {
-                    const title = {};
-                    const description = {};
-                    if (alternative.title) {
-                        if (alternative.title.no) title.no = alternative.title.no;
-                        if (alternative.title.en) title.en = alternative.title.en;
-                    }
-                    if (alternative.description) {
-                        if (alternative.description.no) description.no = alternative.description.no;
-                        if (alternative.description.en) description.en = alternative.description.en;
-                    }
                     resolve({
                         id: `${alternative.id}`,
-                        title: Object.entries(title).length > 0 ? title : undefined,
-                        description:
-                            Object.entries(description).length > 0 ? description : undefined,
+                        title: getLocalizedText(alternative, 'title'),
+                        description: getLocalizedText(alternative, 'description'),
                         media: alternative.media,
                     });
                 } else reject();
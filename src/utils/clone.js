@@ -0,0 +1,285 @@
+import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+import postgres from '../config/postgres.js';
+import Character from '../lib/database/models/Character.js';
+import CharacterState from '../lib/database/models/CharacterState.js';
+import Collections from '../lib/database/models/Collections.js';
+import Key from '../lib/database/models/Key.js';
+import KeyInfo from '../lib/database/models/KeyInfo.js';
+import KeyMedia from '../lib/database/models/KeyMedia.js';
+import Languages from '../lib/database/models/Languages.js';
+import Publishers from '../lib/database/models/Publishers.js';
+import Revision from '../lib/database/models/Revision.js';
+import Taxon from '../lib/database/models/Taxon.js';
+import DerivedKeys from '../models/DerivedKeys.js';
+import { flattenTaxa, isNumerical } from './content.js';
+import { copyMedia } from './media.js';
+import { createRevision } from './revision.js';
+
+/**
+ * Copy media entries referenced by an entity and replace the media IDs
+ *
+ * @param {Object} entity Taxon, character or state
+ * @param {string} filePath Path to the media folder of the new entity
+ * @param {Object} mediaIds Map from old to new media IDs
+ * @param {string} createdBy User ID
+ * @param {Object} transaction Transaction
+ */
+const copyEntityMedia = async (entity, filePath, mediaIds, createdBy, transaction) => {
+    if (!entity.media || entity.media.length === 0) return;
+    const ids = await Promise.all(entity.media.map(async (id) => {
+        const newId = await copyMedia(id, filePath, createdBy, transaction);
+        if (newId) mediaIds[`${id}`] = newId;
+        return typeof id === 'string' && newId ? `${newId}` : newId;
+    }));
+    entity.media = ids.filter((id) => id);
+};
+
+/**
+ * Create new taxon entries for all taxa in the tree (updates the tree in place)
+ *
+ * @param {string} keyId New key ID
+ * @param {Array} taxa Taxa tree
+ * @param {Object} mediaIds Map from old to new media IDs
+ * @param {string} createdBy User ID
+ * @param {Object} transaction Transaction
+ * @returns {Object} Map from old to new taxon IDs
+ */
+const cloneTaxa = async (keyId, taxa, mediaIds, createdBy, transaction) => {
+    const taxonIds = {};
+    await Promise.all(flattenTaxa(taxa).map(async ({ taxon }) => {
+        const entry = await Taxon.create({ keyId }, { transaction });
+        taxonIds[taxon.id] = `${entry.id}`;
+        taxon.id = `${entry.id}`;
+        await copyEntityMedia(
+            taxon,
+            `${process.env.MEDIA_PATH}/keys/${keyId}/taxa/${entry.id}`,
+            mediaIds,
+            createdBy,
+            transaction,
+        );
+    }));
+    return taxonIds;
+};
+
+/**
+ * Create new character and state entries (updates the characters in place)
+ *
+ * @param {string} keyId New key ID
+ * @param {Array} characters Characters
+ * @param {Object} mediaIds Map from old to new media IDs
+ * @param {string} createdBy User ID
+ * @param {Object} transaction Transaction
+ * @returns {Object} Maps from old to new character and state IDs
+ */
+const cloneCharacters = async (keyId, characters, mediaIds, createdBy, transaction) => {
+    const characterIds = {};
+    const stateIds = {};
+    await Promise.all(characters.map(async (character) => {
+        const numerical = isNumerical(character);
+        const entry = await Character.create({
+            type: numerical ? 'NUMERICAL' : 'MULTISTATE',
+            keyId,
+        }, { transaction });
+        const filePath = `${process.env.MEDIA_PATH}/keys/${keyId}/characters/${entry.id}`;
+        characterIds[character.id] = `${entry.id}`;
+        character.id = `${entry.id}`;
+        await copyEntityMedia(character, filePath, mediaIds, createdBy, transaction);
+        const states = numerical ? [character.states] : character.states || [];
+        await Promise.all(states.filter((state) => state).map(async (state) => {
+            const stateEntry = await CharacterState.create(
+                { characterId: entry.id },
+                { transaction },
+            );
+            stateIds[state.id] = `${stateEntry.id}`;
+            state.id = `${stateEntry.id}`;
+            await copyEntityMedia(
+                state,
+                `${filePath}/states/${stateEntry.id}`,
+                mediaIds,
+                createdBy,
+                transaction,
+            );
+        }));
+    }));
+    return { characterIds, stateIds };
+};
+
+/**
+ * Replace character and state IDs in logical premise
+ *
+ * @param {Array} premise Logical premise
+ * @param {Object} characterIds Map from old to new character IDs
+ * @param {Object} stateIds Map from old to new state IDs
+ * @returns {Array} Logical premise
+ */
+const remapPremise = (premise, characterIds, stateIds) => {
+    if (Array.isArray(premise)) {
+        return premise.map((element) => remapPremise(element, characterIds, stateIds));
+    }
+    if (premise && typeof premise === 'object') {
+        return {
+            ...premise,
+            characterId: characterIds[premise.characterId] || premise.characterId,
+            stateId: stateIds[premise.stateId] || premise.stateId,
+        };
+    }
+    return premise;
+};
+
+/**
+ * Copy key metadata (key info, languages, publishers and collections)
+ *
+ * @param {string} keyId Source key ID
+ * @param {string} newKeyId New key ID
+ * @param {Object} transaction Transaction
+ */
+const cloneKeyMetadata = async (keyId, newKeyId, transaction) => {
+    const responses = await Promise.all([
+        KeyInfo.findAll({ where: { keyId }, transaction }),
+        Languages.findAll({ where: { keyId }, transaction }),
+        Publishers.findAll({ where: { keyId }, transaction }),
+        Collections.findAll({ where: { keyId }, transaction }),
+    ]);
+    const promises = [];
+    responses[0].forEach((info) => promises.push(KeyInfo.create({
+        keyId: newKeyId,
+        title: info.title,
+        description: info.description,
+        languageCode: info.languageCode,
+    }, { transaction })));
+    responses[1].forEach((language) => promises.push(Languages.create({
+        keyId: newKeyId,
+        languageCode: language.languageCode,
+    }, { transaction })));
+    responses[2].forEach((publisher) => promises.push(Publishers.create({
+        keyId: newKeyId,
+        organizationId: publisher.organizationId,
+    }, { transaction })));
+    responses[3].forEach((collection) => promises.push(Collections.create({
+        keyId: newKeyId,
+        collectionId: collection.collectionId,
+    }, { transaction })));
+    await Promise.all(promises);
+};
+
+/**
+ * Copy key media
+ *
+ * @param {string} keyId Source key ID
+ * @param {string} newKeyId New key ID
+ * @param {Object} mediaIds Map from old to new media IDs
+ * @param {string} createdBy User ID
+ * @param {Object} transaction Transaction
+ */
+const cloneKeyMedia = async (keyId, newKeyId, mediaIds, createdBy, transaction) => {
+    const keyMedia = await KeyMedia.findAll({ where: { keyId }, transaction });
+    await Promise.all(keyMedia.map(async (element) => {
+        const mediaId = await copyMedia(
+            element.mediaId,
+            `${process.env.MEDIA_PATH}/keys/${newKeyId}`,
+            createdBy,
+            transaction,
+        );
+        if (mediaId) {
+            mediaIds[`${element.mediaId}`] = mediaId;
+            await KeyMedia.create({ keyId: newKeyId, mediaId }, { transaction });
+        }
+    }));
+};
+
+/**
+ * Clone key with metadata, media and the current revision (taxa, characters and states
+ * are created with new IDs). The new key is private and records the source key.
+ *
+ * @param {Object} key Source key
+ * @param {string} workgroupId Workgroup ID for the new key
+ * @param {string} createdBy User ID
+ * @returns {Object} New key ID and revision ID
+ */
+const cloneKey = async (key, workgroupId, createdBy) => {
+    let newKeyId;
+    try {
+        return await postgres.transaction(async (transaction) => {
+            const newKey = await Key.create({
+                keyGroupId: key.keyGroupId,
+                workgroupId: workgroupId || null,
+                creators: key.creators,
+                contributors: key.contributors,
+                licenseUrl: key.licenseUrl,
+                createdBy,
+                status: 'PRIVATE',
+            }, { transaction });
+            newKeyId = newKey.id;
+            await DerivedKeys.create({
+                keyId: newKey.id,
+                sourceKeyId: key.id,
+                sourceRevisionId: key.revisionId || null,
+            }, { transaction });
+            const mediaIds = {};
+            await cloneKeyMetadata(key.id, newKey.id, transaction);
+            await cloneKeyMedia(key.id, newKey.id, mediaIds, createdBy, transaction);
+            const revision = key.revisionId
+                ? await Revision.findByPk(key.revisionId, { transaction }) : undefined;
+            if (!revision) return { keyId: newKey.id };
+            const source = revision.get({ plain: true });
+            const content = JSON.parse(JSON.stringify(source.content || {}));
+            const media = JSON.parse(JSON.stringify(source.media || {}));
+            const taxonIds = await cloneTaxa(
+                newKey.id,
+                content.taxa,
+                mediaIds,
+                createdBy,
+                transaction,
+            );
+            const { characterIds, stateIds } = await cloneCharacters(
+                newKey.id,
+                content.characters || [],
+                mediaIds,
+                createdBy,
+                transaction,
+            );
+            (content.characters || []).forEach((character) => {
+                if (character.logicalPremise) {
+                    character.logicalPremise = remapPremise(
+                        character.logicalPremise,
+                        characterIds,
+                        stateIds,
+                    );
+                }
+            });
+            content.statements = (content.statements || []).map((statement) => ({
+                ...statement,
+                id: uuidv4(),
+                taxonId: taxonIds[statement.taxonId] || statement.taxonId,
+                characterId: characterIds[statement.characterId] || statement.characterId,
+                state: stateIds[statement.state] || statement.state,
+            }));
+            if (media.mediaElements) {
+                media.mediaElements = media.mediaElements
+                    .filter((element) => mediaIds[`${element.id}`])
+                    .map((element) => ({ ...element, id: `${mediaIds[`${element.id}`]}` }));
+            }
+            const revisionId = await createRevision(
+                newKey,
+                content,
+                media,
+                createdBy,
+                `Cloned from key ${key.id}`,
+                source.mode,
+                transaction,
+            );
+            return { keyId: newKey.id, revisionId };
+        });
+    } catch (err) {
+        if (newKeyId) {
+            await fs.promises.rm(
+                `${process.env.MEDIA_PATH}/keys/${newKeyId}`,
+                { recursive: true, force: true },
+            );
+        }
+        throw err;
+    }
+};
+
+export default cloneKey;
@@ -2,27 +2,28 @@ import Sequelize from 'sequelize';
 import postgres from '../config/postgres.js';
 import Collection from '../lib/database/models/Collection.js';
 import CollectionInfo from '../lib/database/models/CollectionInfo.js';
+import { getLocalizedInfo } from './language.js';
 
 /**
- * Create collection info for no/en
+ * Create collection info for each language with a name
  *
  * @param {int} collectionId Collection ID
  * @param {Object} body Request body
  */
 export const createCollectionInfo = async (collectionId, body) => {
     const promises = [];
-    promises.push(CollectionInfo.create({
-        collectionId,
-        name: body.nameNo,
-        description: body.descriptionNo,
-        languageCode: 'no',
-    }));
-    promises.push(CollectionInfo.create({
-        collectionId,
-        name: body.nameEn,
-        description: body.descriptionEn,
-        languageCode: 'en',
-    }));
+    Object.entries(getLocalizedInfo(body, ['name', 'description'])).forEach(
+        ([languageCode, info]) => {
+            if (info.name) {
+                promises.push(CollectionInfo.create({
+                    collectionId,
+                    name: info.name,
+                    description: info.description,
+                    languageCode,
+                }));
+            }
+        },
+    );
     await Promise.all(promises);
 };
 
@@ -35,38 +36,27 @@ export const createCollectionInfo = async (collectionId, body) => {
  */
 export const updateCollectionInfos = async (collections, collectionId, body) => {
     const promises = [];
-    const infoNo = collections.find((element) => element.collection_info && element.collection_info.languageCode === 'no');
-    const infoEn = collections.find((element) => element.collection_info && element.collection_info.languageCode === 'en');
-    if (infoNo && infoNo.collection_info) {
-        promises.push(CollectionInfo.update({
-            name: body.nameNo,
-            description: body.descriptionNo,
-        }, {
-            where: { id: infoNo.collection_info.id },
-        }));
-    } else {
-        promises.push(CollectionInfo.create({
-            collectionId,
-            name: body.nameNo,
-            description: body.descriptionNo,
-            languageCode: 'no',
-        }));
-    }
-    if (infoEn && infoEn.collection_info) {
-        promises.push(CollectionInfo.update({
-            name: body.nameEn,
-            description: body.descriptionEn,
-        }, {
-            where: { id: infoEn.collection_info.id },
-        }));
-    } else {
-        promises.push(CollectionInfo.create({
-            collectionId,
-            name: body.nameEn,
-            description: body.descriptionEn,
-            languageCode: 'en',
-        }));
-    }
+    Object.entries(getLocalizedInfo(body, ['name', 'description'])).forEach(
+        ([languageCode, info]) => {
+            const element = collections.find((entry) => entry.collection_info
+                && entry.collection_info.languageCode === languageCode);
+            if (element) {
+                promises.push(CollectionInfo.update({
+                    name: info.name,
+                    description: info.description,
+                }, {
+                    where: { id: element.collection_info.id },
+                }));
+            } else if (info.name) {
+                promises.push(CollectionInfo.create({
+                    collectionId,
+                    name: info.name,
+                    description: info.description,
+                    languageCode,
+                }));
+            }
+        },
+    );
     await Promise.all(promises);
 };
 
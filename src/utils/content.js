@@ -0,0 +1,218 @@
+/**
+ * Get text in the preferred language (falls back to any available language)
+ *
+ * @param {Object} text Text object (language code as key)
+ * @param {string} language Preferred language code
+ * @returns {string} Text
+ */
+export const getText = (text, language) => {
+    if (!text) return undefined;
+    if (typeof text === 'string') return text;
+    if (language && text[language]) return text[language];
+    if (text.en) return text.en;
+    if (text.no) return text.no;
+    return Object.values(text).find((value) => value);
+};
+
+/**
+ * Flatten taxon tree
+ *
+ * @param {Array} taxa Taxa array
+ * @param {string} parentId Parent taxon ID
+ * @returns {Array} List of taxa with parent ID
+ */
+export const flattenTaxa = (taxa, parentId) => {
+    let arr = [];
+    if (taxa) {
+        taxa.forEach((taxon) => {
+            arr.push({ taxon, parentId });
+            if (taxon.children && taxon.children.length > 0) {
+                arr = arr.concat(flattenTaxa(taxon.children, taxon.id));
+            }
+        });
+    }
+    return arr;
+};
+
+/**
+ * Get taxa without children
+ *
+ * @param {Array} taxa Taxa array
+ * @returns {Array} Terminal taxa
+ */
+export const getTerminalTaxa = (taxa) => flattenTaxa(taxa)
+    .filter((element) => !element.taxon.children || element.taxon.children.length === 0)
+    .map((element) => element.taxon);
+
+/**
+ * Check if character is numerical
+ *
+ * @param {Object} character Character object
+ * @returns {boolean} True if numerical
+ */
+export const isNumerical = (character) => character.type === 'numerical'
+    || (character.states !== undefined && !Array.isArray(character.states));
+
+/**
+ * Get min and max value from numerical statement
+ *
+ * @param {Object} statement Statement object
+ * @returns {Array} Min and max value
+ */
+export const getStatementRange = (statement) => {
+    const { value } = statement;
+    let range;
+    if (Array.isArray(value)) {
+        range = [parseFloat(value[0]), parseFloat(value.length > 1 ? value[1] : value[0])];
+    } else if (value && typeof value === 'object') {
+        range = [parseFloat(value.min), parseFloat(value.max)];
+    } else if (value !== undefined && value !== null && value !== '') {
+        range = [parseFloat(value), parseFloat(value)];
+    }
+    if (range && !Number.isNaN(range[0]) && !Number.isNaN(range[1])) return range;
+    return undefined;
+};
+
+/**
+ * Get state IDs referenced in a logical premise
+ *
+ * @param {Array} premise Logical premise
+ * @returns {Array} State IDs
+ */
+export const getPremiseStates = (premise) => {
+    let arr = [];
+    if (Array.isArray(premise)) {
+        premise.forEach((element) => {
+            if (Array.isArray(element)) {
+                arr = arr.concat(getPremiseStates(element));
+            } else if (element && element.stateId) arr.push(element.stateId);
+        });
+    }
+    return arr;
+};
+
+/**
+ * Create logical premise (prefix notation) from conditions. Conditions for the same
+ * character are combined with OR, and the groups are combined with AND.
+ *
+ * @param {Array} conditions Conditions (character ID and state ID)
+ * @returns {Array} Logical premise
+ */
+export const createPremise = (conditions) => {
+    const groups = {};
+    conditions.forEach((condition) => {
+        if (!groups[condition.characterId]) groups[condition.characterId] = ['OR'];
+        groups[condition.characterId].push(condition);
+    });
+    const premise = ['AND'].concat(Object.values(groups));
+    if (premise.length > 1) return premise;
+    return undefined;
+};
+
+/**
+ * Evaluate logical premise (prefix notation, for example ['AND', ['OR', a, b], [...]])
+ *
+ * @param {Array} premise Logical premise
+ * @param {Function} test Function that checks if a condition is met
+ * @returns {boolean} True if premise is met (or if there is no premise)
+ */
+export const evaluatePremise = (premise, test) => {
+    if (!Array.isArray(premise)) return premise && premise.stateId ? test(premise) : true;
+    const operator = premise.find((element) => typeof element === 'string');
+    const operands = premise.filter((element) => element && typeof element === 'object');
+    if (operands.length === 0) return true;
+    const results = operands.map((element) => evaluatePremise(element, test));
+    if (operator && ['OR', '||'].includes(operator.toUpperCase())) {
+        return results.some((result) => result);
+    }
+    return results.every((result) => result);
+};
+
+/**
+ * Check if character is applicable for a taxon (characters in the premise that the
+ * taxon has no statements for do not make the character inapplicable)
+ *
+ * @param {Object} character Character object
+ * @param {Array} statements Taxon statements
+ * @returns {boolean} True if character is applicable
+ */
+export const isApplicable = (character, statements) => evaluatePremise(
+    character.logicalPremise,
+    (condition) => {
+        const arr = statements.filter(
+            (statement) => statement.characterId === condition.characterId,
+        );
+        if (arr.length === 0) return true;
+        return arr.some((statement) => statement.state === condition.stateId);
+    },
+);
+
+/**
+ * Get statements for terminal taxa (statements for higher taxa are inherited when the
+ * terminal taxon has no statements for the character)
+ *
+ * @param {Object} content Revision content
+ * @returns {Array} Terminal taxa with statements
+ */
+export const getTaxonDescriptions = (content) => {
+    const statements = content.statements || [];
+    const descriptions = [];
+    const traverse = (taxa, inherited) => {
+        (taxa || []).forEach((taxon) => {
+            const own = statements.filter((statement) => statement.taxonId === taxon.id);
+            const merged = own.concat(inherited.filter((statement) => !own.some(
+                (element) => element.characterId === statement.characterId,
+            )));
+            if (taxon.children && taxon.children.length > 0) {
+                traverse(taxon.children, merged);
+            } else descriptions.push({ taxon, statements: merged });
+        });
+    };
+    traverse(content.taxa, []);
+    return descriptions;
+};
+
+/**
+ * Split numerical character range into intervals of one step size. If that gives more than
+ * the maximum number of intervals, the step size is widened to a multiple that fits.
+ *
+ * @param {Object} states Numerical character states (min, max and step size)
+ * @param {int} maxCount Maximum number of intervals
+ * @returns {Array} Intervals (lower and upper value)
+ */
+export const getNumericalIntervals = (states, maxCount = 100) => {
+    const min = parseFloat(states.min);
+    const max = parseFloat(states.max);
+    let stepSize = parseFloat(states.stepSize);
+    const intervals = [];
+    if (!Number.isNaN(min) && !Number.isNaN(max) && stepSize > 0 && max >= min) {
+        let count = Math.max(Math.ceil((max - min) / stepSize), 1);
+        if (count > maxCount) {
+            stepSize *= Math.ceil(count / maxCount);
+            count = Math.max(Math.ceil((max - min) / stepSize), 1);
+        }
+        for (let i = 0; i < count; i += 1) {
+            intervals.push([min + i * stepSize, Math.min(min + (i + 1) * stepSize, max)]);
+        }
+    }
+    return intervals;
+};
+
+/**
+ * Get indexes of the intervals that overlap a range
+ *
+ * @param {Array} intervals Intervals
+ * @param {Array} range Min and max value
+ * @returns {Array} Interval indexes
+ */
+export const getOverlappingIntervals = (intervals, range) => {
+    const indexes = [];
+    intervals.forEach((interval, index) => {
+        const last = index === intervals.length - 1;
+        const belowUpper = range[0] < interval[1] || (last && range[0] <= interval[1]);
+        const aboveLower = range[1] > interval[0]
+            || (range[1] === interval[0] && range[0] === range[1]);
+        if (belowUpper && aboveLower) indexes.push(index);
+    });
+    return indexes;
+};
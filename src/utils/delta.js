@@ -0,0 +1,515 @@
+import {
+    flattenTaxa, getStatementRange, getText, isNumerical,
+} from './content.js';
+
+const multistateTypes = ['UM', 'OM'];
+const numericalTypes = ['IN', 'RN'];
+
+/**
+ * Remove characters that have special meaning in DELTA text
+ *
+ * @param {string} text Text
+ * @returns {string} Text that can be used in DELTA files
+ */
+const cleanText = (text) => (text || '').replace(/[<>#*]/g, '').replace(/\/(?=\s|$)/g, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Create DELTA comment
+ *
+ * @param {string} text Comment text
+ * @returns {string} Comment (empty string if no text)
+ */
+const createComment = (text) => (text ? ` <${cleanText(text)}>` : '');
+
+/**
+ * Format list of numbers as DELTA ranges (for example 1-3 5)
+ *
+ * @param {Array} numbers Sorted numbers
+ * @param {string} separator Range separator
+ * @returns {string} Ranges
+ */
+const formatRanges = (numbers, separator) => {
+    const ranges = [];
+    numbers.forEach((number) => {
+        const range = ranges[ranges.length - 1];
+        if (range && range[1] === number - 1) {
+            range[1] = number;
+        } else ranges.push([number, number]);
+    });
+    return ranges.map((range) => (range[0] === range[1] ? `${range[0]}` : `${range[0]}-${range[1]}`)).join(separator);
+};
+
+/**
+ * Get DELTA character type
+ *
+ * @param {Object} character Character object
+ * @returns {string} DELTA character type
+ */
+const getCharacterType = (character) => {
+    if (!isNumerical(character)) return 'UM';
+    const states = character.states || {};
+    if ([states.min, states.max, states.stepSize].every((value) => Number.isInteger(value))) return 'IN';
+    return 'RN';
+};
+
+/**
+ * Get dependent characters (character states that make other characters inapplicable)
+ *
+ * @param {Array} characters Characters array
+ * @returns {Array} Dependencies (character number, state numbers and dependent characters)
+ */
+const getDependencies = (characters) => {
+    const dependencies = [];
+    characters.forEach((character, index) => {
+        const premise = character.logicalPremise;
+        if (Array.isArray(premise) && premise[0] !== 'OR') {
+            premise.filter((group) => Array.isArray(group)).forEach((group) => {
+                const conditions = group.filter((element) => element && element.stateId);
+                const controlling = conditions.length > 0 ? characters.findIndex(
+                    (element) => element.id === conditions[0].characterId,
+                ) : -1;
+                if (controlling >= 0 && group[0] !== 'AND'
+                    && conditions.every(
+                        (element) => element.characterId === conditions[0].characterId,
+                    )
+                    && Array.isArray(characters[controlling].states)) {
+                    const states = [];
+                    characters[controlling].states.forEach((state, stateIndex) => {
+                        if (!conditions.some((element) => element.stateId === state.id)) {
+                            states.push(stateIndex + 1);
+                        }
+                    });
+                    if (states.length > 0) {
+                        const dependency = dependencies.find(
+                            (element) => element.character === controlling + 1
+                                && element.states.join() === states.join(),
+                        );
+                        if (dependency) {
+                            dependency.dependents.push(index + 1);
+                        } else {
+                            dependencies.push({
+                                character: controlling + 1,
+                                states,
+                                dependents: [index + 1],
+                            });
+                        }
+                    }
+                }
+            });
+        }
+    });
+    return dependencies;
+};
+
+/**
+ * Create DELTA specifications file
+ *
+ * @param {string} title Key title
+ * @param {Array} characters Characters array
+ * @param {int} items Number of items
+ * @returns {string} Specs file
+ */
+const createSpecs = (title, characters, items) => {
+    const types = [];
+    const states = [];
+    let maxStates = 0;
+    characters.forEach((character, index) => {
+        const type = getCharacterType(character);
+        if (type !== 'UM') types.push(`${index + 1},${type}`);
+        if (type === 'UM') {
+            const count = character.states ? character.states.length : 0;
+            if (count !== 2) states.push(`${index + 1},${count}`);
+            if (count > maxStates) maxStates = count;
+        }
+    });
+    const lines = [
+        `*SHOW ~ ${cleanText(title)} - specifications.`,
+        '',
+        `*NUMBER OF CHARACTERS ${characters.length}`,
+        '',
+        `*MAXIMUM NUMBER OF STATES ${Math.max(maxStates, 2)}`,
+        '',
+        `*MAXIMUM NUMBER OF ITEMS ${items}`,
+        '',
+    ];
+    if (types.length > 0) lines.push(`*CHARACTER TYPES ${types.join(' ')}`, '');
+    if (states.length > 0) lines.push(`*NUMBERS OF STATES ${states.join(' ')}`, '');
+    const dependencies = getDependencies(characters);
+    if (dependencies.length > 0) {
+        lines.push(`*DEPENDENT CHARACTERS ${dependencies.map(
+            (element) => `${element.character},${formatRanges(element.states, '/')}:${formatRanges(element.dependents.sort((a, b) => a - b), ':')}`,
+        ).join(' ')}`, '');
+    }
+    return lines.join('\n');
+};
+
+/**
+ * Create DELTA character list file
+ *
+ * @param {string} title Key title
+ * @param {Array} characters Characters array
+ * @param {string} language Language code
+ * @returns {string} Chars file
+ */
+const createChars = (title, characters, language) => {
+    const lines = [`*SHOW ~ ${cleanText(title)} - character list.`, '', '*CHARACTER LIST'];
+    characters.forEach((character, index) => {
+        lines.push('');
+        let line = `#${index + 1}. ${cleanText(getText(character.title, language))}`;
+        line += createComment(getText(character.description, language));
+        if (isNumerical(character)) {
+            const states = character.states || {};
+            line += createComment(`range: ${states.min}-${states.max}, step: ${states.stepSize}`);
+            lines.push(`${line}/`);
+            const unit = cleanText(getText(states.unit, language));
+            if (unit) lines.push(`      ${unit}/`);
+        } else {
+            lines.push(`${line}/`);
+            (character.states || []).forEach((state, stateIndex) => {
+                lines.push(`      ${stateIndex + 1}. ${cleanText(getText(state.title, language))}${createComment(getText(state.description, language))}/`);
+            });
+        }
+    });
+    return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Format numerical value
+ *
+ * @param {Array} range Min and max value
+ * @returns {string} DELTA numerical value
+ */
+const formatNumber = (range) => (range[0] === range[1] ? `${range[0]}` : `${range[0]}-${range[1]}`);
+
+/**
+ * Create DELTA item descriptions file
+ *
+ * @param {string} title Key title
+ * @param {Object} content Revision content
+ * @param {string} language Language code
+ * @returns {string} Items file
+ */
+const createItems = (title, content, language) => {
+    const characters = content.characters || [];
+    const statements = content.statements || [];
+    const taxa = flattenTaxa(content.taxa);
+    const lines = [`*SHOW ~ ${cleanText(title)} - item descriptions.`, '', '*ITEM DESCRIPTIONS'];
+    taxa.forEach(({ taxon, parentId }) => {
+        lines.push('');
+        let line = `# ${cleanText(taxon.scientificName)}`;
+        line += createComment(getText(taxon.vernacularName, language));
+        if (parentId) {
+            const parent = taxa.find((element) => element.taxon.id === parentId);
+            line += createComment(`parent: ${parent.taxon.scientificName}`);
+        }
+        lines.push(`${line}/`);
+        const attributes = [];
+        characters.forEach((character, index) => {
+            const taxonStatements = statements.filter(
+                (statement) => statement.taxonId === taxon.id
+                    && statement.characterId === character.id,
+            );
+            if (taxonStatements.length > 0) {
+                if (isNumerical(character)) {
+                    const values = taxonStatements.map(getStatementRange).filter((range) => range);
+                    if (values.length > 0) attributes.push(`${index + 1},${values.map(formatNumber).join('/')}`);
+                } else {
+                    const states = [];
+                    (character.states || []).forEach((state, stateIndex) => {
+                        if (taxonStatements.some((statement) => statement.state === state.id)) {
+                            states.push(stateIndex + 1);
+                        }
+                    });
+                    if (states.length > 0) attributes.push(`${index + 1},${states.join('/')}`);
+                }
+            }
+        });
+        if (attributes.length > 0) lines.push(`   ${attributes.join(' ')}`);
+    });
+    return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Create DELTA specs, chars and items files for revision
+ *
+ * @param {Object} revision Revision object
+ * @param {string} title Key title
+ * @param {string} language Language code
+ * @returns {Object} Specs, chars and items file contents
+ */
+export const createDeltaFiles = (revision, title, language) => {
+    const content = revision.content || {};
+    const characters = content.characters || [];
+    return {
+        specs: createSpecs(title, characters, flattenTaxa(content.taxa).length),
+        chars: createChars(title, characters, language),
+        items: createItems(title, content, language),
+    };
+};
+
+/**
+ * Split DELTA file into directives
+ *
+ * @param {string} text File contents
+ * @returns {Array} Directives (name and data)
+ */
+const readDirectives = (text) => text.replace(/\r\n?/g, '\n').split(/(?:^|\n)\s*\*(?=[A-Z])/)
+    .slice(1)
+    .map((element) => {
+        const match = element.match(/^([A-Z]+(?: [A-Z]+)*)\s?([\s\S]*)$/);
+        return { name: match[1], data: match[2].trim() };
+    });
+
+/**
+ * Find directive data by name
+ *
+ * @param {Array} directives Directives
+ * @param {string} name Directive name
+ * @returns {string} Directive data
+ */
+const findDirective = (directives, name) => {
+    const directive = directives.find((element) => element.name === name);
+    return directive ? directive.data : undefined;
+};
+
+/**
+ * Expand DELTA number ranges (for example 1-3 is 1, 2 and 3)
+ *
+ * @param {string} text Numbers and ranges
+ * @param {string} separator Separator
+ * @returns {Array} Numbers
+ */
+const expandRanges = (text, separator) => {
+    const numbers = [];
+    text.split(separator).forEach((element) => {
+        const [from, to] = element.split('-').map((number) => parseInt(number, 10));
+        if (!Number.isNaN(from)) {
+            for (let i = from; i <= (Number.isNaN(to) || to === undefined ? from : to); i += 1) {
+                numbers.push(i);
+            }
+        }
+    });
+    return numbers;
+};
+
+/**
+ * Get comments and text without comments
+ *
+ * @param {string} text Text with DELTA comments
+ * @returns {Object} Text and comments
+ */
+const readComments = (text) => {
+    const comments = [];
+    const stripped = text.replace(/<([^<>]*)>/g, (match, comment) => {
+        comments.push(comment.trim());
+        return '';
+    });
+    return { text: stripped.replace(/\s+/g, ' ').trim(), comments };
+};
+
+/**
+ * Read character list
+ *
+ * @param {string} data Character list directive data
+ * @param {Object} types Character types by character number
+ * @param {string} language Language code
+ * @param {Array} unmapped List of constructs that could not be mapped
+ * @returns {Array} Characters
+ */
+const readCharacterList = (data, types, language, unmapped) => {
+    const characters = [];
+    data.split(/(?:^|\n)\s*#/).filter((element) => element.trim()).forEach((element) => {
+        const parts = element.split(/\/(?=\s|$)/).map((part) => part.trim()).filter((part) => part);
+        const header = parts[0].match(/^(\d+)\.\s*([\s\S]*)$/);
+        if (header) {
+            const number = parseInt(header[1], 10);
+            const type = types[number] || 'UM';
+            const { text, comments } = readComments(header[2]);
+            const character = {
+                ref: `${number}`,
+                number,
+                title: { [language]: text },
+            };
+            const range = comments.find((comment) => comment.startsWith('range:'));
+            const description = comments.find((comment) => !comment.startsWith('range:'));
+            if (description) character.description = { [language]: description };
+            if (multistateTypes.includes(type)) {
+                character.type = 'MULTISTATE';
+                character.states = parts.slice(1).map((part) => {
+                    const match = part.match(/^(\d+)\.\s*([\s\S]*)$/);
+                    const state = readComments(match ? match[2] : part);
+                    return {
+                        ref: `${number}.${match ? match[1] : ''}`,
+                        title: { [language]: state.text },
+                        description: state.comments.length > 0
+                            ? { [language]: state.comments[0] } : undefined,
+                    };
+                });
+            } else if (numericalTypes.includes(type)) {
+                character.type = 'NUMERICAL';
+                if (parts.length > 1) character.unit = { [language]: readComments(parts[1]).text };
+                const values = range && range.match(/^range:\s*(-?[\d.]+)-(-?[\d.]+),\s*step:\s*([\d.]+)/);
+                if (values) {
+                    [character.min, character.max, character.stepSize] = values.slice(1)
+                        .map((value) => parseFloat(value));
+                } else if (type === 'IN') character.stepSize = 1;
+            } else {
+                unmapped.push({ element: 'Character', id: `${number}`, reason: `Character type ${type} is not supported` });
+                return;
+            }
+            characters.push(character);
+        }
+    });
+    return characters;
+};
+
+/**
+ * Read numerical attribute value (extreme values in parentheses are ignored)
+ *
+ * @param {string} value Attribute value
+ * @returns {Array} Min and max value
+ */
+const readNumber = (value) => {
+    const numbers = value.replace(/\([^)]*\)/g, '').split(/(?<=\d)-/).map((number) => parseFloat(number));
+    if (numbers.length > 0 && numbers.every((number) => !Number.isNaN(number))) {
+        return [numbers[0], numbers[numbers.length - 1]];
+    }
+    return undefined;
+};
+
+/**
+ * Read item descriptions
+ *
+ * @param {string} data Item descriptions directive data
+ * @param {Array} characters Parsed characters
+ * @param {Object} parsed Parsed key
+ * @param {string} language Language code
+ */
+const readItems = (data, characters, parsed, language) => {
+    data.split(/(?:^|\n)\s*#/).filter((element) => element.trim()).forEach((element, index) => {
+        const separator = element.search(/\/(?=\s|$)/);
+        const name = readComments(separator >= 0 ? element.substring(0, separator) : element);
+        const taxon = { ref: `${index + 1}`, scientificName: name.text };
+        name.comments.forEach((comment) => {
+            if (comment.startsWith('parent:')) {
+                const parentName = comment.substring(7).trim();
+                const parent = parsed.taxa.find((tmp) => tmp.scientificName === parentName);
+                if (parent) taxon.parentRef = parent.ref;
+            } else if (!taxon.vernacularName) taxon.vernacularName = { [language]: comment };
+        });
+        parsed.taxa.push(taxon);
+        const attributes = readComments(separator >= 0 ? element.substring(separator + 1) : '').text;
+        attributes.split(/\s+/).filter((attribute) => attribute).forEach((attribute) => {
+            const [number, value] = attribute.split(',');
+            const character = characters.find((tmp) => tmp.number === parseInt(number, 10));
+            if (!character || value === undefined) {
+                parsed.unmapped.push({ element: 'Attribute', id: `${taxon.ref}:${attribute}`, reason: 'Character does not exist or has no value' });
+            } else if (['U', 'V', '-'].includes(value)) {
+                parsed.unmapped.push({ element: 'Attribute', id: `${taxon.ref}:${attribute}`, reason: 'Pseudo-values are not supported' });
+            } else if (character.type === 'NUMERICAL') {
+                value.split('/').forEach((element2) => {
+                    const range = readNumber(element2);
+                    if (range) {
+                        parsed.statements.push({
+                            taxonRef: taxon.ref,
+                            characterRef: character.ref,
+                            min: range[0],
+                            max: range[1],
+                        });
+                    } else parsed.unmapped.push({ element: 'Attribute', id: `${taxon.ref}:${attribute}`, reason: 'Invalid numerical value' });
+                });
+            } else {
+                expandRanges(value.replace(/&/g, '/'), '/').forEach((stateNumber) => {
+                    const state = character.states[stateNumber - 1];
+                    if (state) {
+                        parsed.statements.push({
+                            taxonRef: taxon.ref,
+                            characterRef: character.ref,
+                            stateRef: state.ref,
+                        });
+                    } else parsed.unmapped.push({ element: 'Attribute', id: `${taxon.ref}:${attribute}`, reason: 'State does not exist' });
+                });
+            }
+        });
+    });
+};
+
+/**
+ * Read dependent characters and create premises for the dependent characters
+ *
+ * @param {string} data Dependent characters directive data
+ * @param {Array} characters Parsed characters
+ */
+const readDependencies = (data, characters) => {
+    data.split(/\s+/).filter((element) => element).forEach((element) => {
+        const [controllingPart, ...dependentParts] = element.split(':');
+        const [number, states] = controllingPart.split(',');
+        const controlling = characters.find((tmp) => tmp.number === parseInt(number, 10));
+        if (controlling && controlling.type === 'MULTISTATE' && states) {
+            const inapplicable = expandRanges(states, '/');
+            const applicable = controlling.states.filter(
+                (state, index) => !inapplicable.includes(index + 1),
+            );
+            expandRanges(dependentParts.join(':'), ':').forEach((dependentNumber) => {
+                const dependent = characters.find((tmp) => tmp.number === dependentNumber);
+                if (dependent) {
+                    const existing = (dependent.premise || [])
+                        .filter((condition) => condition.characterRef === controlling.ref);
+                    const other = (dependent.premise || [])
+                        .filter((condition) => condition.characterRef !== controlling.ref);
+                    const conditions = applicable.filter(
+                        (state) => existing.length === 0
+                            || existing.some((condition) => condition.stateRef === state.ref),
+                    ).map((state) => ({ characterRef: controlling.ref, stateRef: state.ref }));
+                    dependent.premise = other.concat(conditions);
+                }
+            });
+        }
+    });
+};
+
+/**
+ * Parse DELTA specs, chars and items files
+ *
+ * @param {Object} files Specs, chars and items file contents
+ * @param {string} language Language code for titles and descriptions
+ * @returns {Object} Parsed key (key info, languages, taxa, characters and statements)
+ */
+export const parseDeltaFiles = (files, language) => {
+    const unmapped = [];
+    const specs = readDirectives(files.specs);
+    const chars = readDirectives(files.chars);
+    const items = readDirectives(files.items);
+    const list = findDirective(chars, 'CHARACTER LIST');
+    const descriptions = findDirective(items, 'ITEM DESCRIPTIONS');
+    if (list === undefined || descriptions === undefined) throw new Error('Invalid DELTA files');
+    const types = {};
+    (findDirective(specs, 'CHARACTER TYPES') || '').split(/\s+/).filter((element) => element)
+        .forEach((element) => {
+            const [numbers, type] = element.split(',');
+            expandRanges(numbers, '/').forEach((number) => { types[number] = type; });
+        });
+    const characters = readCharacterList(list, types, language, unmapped);
+    const dependencies = findDirective(specs, 'DEPENDENT CHARACTERS');
+    if (dependencies) readDependencies(dependencies, characters);
+    const show = findDirective(specs, 'SHOW');
+    const parsed = {
+        info: {
+            [language]: { title: show ? show.replace(/^~\s*/, '').replace(/\s+-\s+specifications\.$/, '') : undefined },
+        },
+        languages: [language],
+        taxa: [],
+        characters,
+        statements: [],
+        unmapped,
+    };
+    readItems(descriptions, characters, parsed, language);
+    specs.concat(chars, items).forEach((directive) => {
+        if (!['SHOW', 'NUMBER OF CHARACTERS', 'MAXIMUM NUMBER OF STATES', 'MAXIMUM NUMBER OF ITEMS',
+            'CHARACTER TYPES', 'NUMBERS OF STATES', 'DEPENDENT CHARACTERS', 'CHARACTER LIST',
+            'ITEM DESCRIPTIONS', 'COMMENT'].includes(directive.name)) {
+            unmapped.push({ element: 'Directive', id: directive.name, reason: 'Directive is not supported' });
+        }
+    });
+    return parsed;
+};
@@ -0,0 +1,302 @@
+import {
+    flattenTaxa,
+    getStatementRange,
+    getTaxonDescriptions,
+    getTerminalTaxa,
+    getText,
+    isApplicable,
+    isNumerical,
+} from './content.js';
+
+const maxPartitionStates = 10;
+
+/**
+ * Get statements for a character from a taxon description
+ *
+ * @param {Object} description Taxon description (taxon and statements)
+ * @param {string} characterId Character ID
+ * @returns {Array} Statements
+ */
+const getStatements = (description, characterId) => description.statements.filter(
+    (statement) => statement.characterId === characterId,
+);
+
+/**
+ * Score a split of taxa into two leads. Splits with fewer taxa in both leads are preferred,
+ * and then splits that divide the taxa most evenly.
+ *
+ * @param {Array} first Taxa in first lead
+ * @param {Array} second Taxa in second lead
+ * @param {int} total Number of taxa
+ * @returns {Array} Overlap and imbalance (lower is better), undefined if the split is useless
+ */
+const scoreSplit = (first, second, total) => {
+    if (first.length === 0 || second.length === 0
+        || first.length === total || second.length === total) return undefined;
+    return [first.length + second.length - total, Math.abs(first.length - second.length)];
+};
+
+/**
+ * Check if score is better than the best score so far
+ *
+ * @param {Array} score Score
+ * @param {Array} best Best score
+ * @returns {boolean} True if better
+ */
+const isBetter = (score, best) => score && (!best || score[0] < best[0]
+    || (score[0] === best[0] && score[1] < best[1]));
+
+/**
+ * Get possible splits of a multistate character into two groups of states (all
+ * partitions for few states, otherwise every other state in the first group)
+ *
+ * @param {Array} states States used by the taxa
+ * @returns {Array} State ID groups for the first lead
+ */
+const getStatePartitions = (states) => {
+    if (states.length <= maxPartitionStates) {
+        const partitions = [];
+        for (let mask = 1; mask < 2 ** (states.length - 1); mask += 1) {
+            partitions.push(states.filter(
+                (state, index) => Math.floor(mask / 2 ** index) % 2 === 1,
+            ));
+        }
+        return partitions;
+    }
+    return [states.filter((state, index) => index % 2 === 0)];
+};
+
+/**
+ * Find the best split of taxa for a multistate character. Taxa without statements
+ * (unknown) and taxa coded with states in both groups are included in both leads.
+ *
+ * @param {Object} character Character
+ * @param {Array} descriptions Taxon descriptions
+ * @returns {Object} Split (leads with state IDs and taxa, and score)
+ */
+const splitByStates = (character, descriptions) => {
+    const used = (character.states || []).map((state) => state.id).filter(
+        (id) => descriptions.some((description) => getStatements(description, character.id)
+            .some((statement) => statement.state === id)),
+    );
+    let best;
+    getStatePartitions(used).forEach((stateIds) => {
+        const other = used.filter((id) => !stateIds.includes(id));
+        const first = [];
+        const second = [];
+        descriptions.forEach((description) => {
+            const states = getStatements(description, character.id).map((s) => s.state);
+            if (states.length === 0 || states.some((id) => stateIds.includes(id))) {
+                first.push(description);
+            }
+            if (states.length === 0 || states.some((id) => other.includes(id))) {
+                second.push(description);
+            }
+        });
+        const score = scoreSplit(first, second, descriptions.length);
+        if (isBetter(score, best && best.score)) {
+            best = { leads: [{ stateIds, taxa: first }, { stateIds: other, taxa: second }], score };
+        }
+    });
+    return best;
+};
+
+/**
+ * Find the best split of taxa for a numerical character (value at or below a threshold,
+ * or above). Taxa without statements, and taxa with ranges that cross the threshold,
+ * are included in both leads.
+ *
+ * @param {Object} character Character
+ * @param {Array} descriptions Taxon descriptions
+ * @returns {Object} Split (leads with ranges and taxa, and score)
+ */
+const splitByValue = (character, descriptions) => {
+    const ranges = descriptions.map((description) => getStatements(description, character.id)
+        .map((statement) => getStatementRange(statement)).filter((range) => range));
+    const thresholds = [...new Set(ranges.flat().map((range) => range[1]))].sort((a, b) => a - b);
+    let best;
+    thresholds.slice(0, -1).forEach((threshold) => {
+        const first = [];
+        const second = [];
+        descriptions.forEach((description, index) => {
+            if (ranges[index].length === 0
+                || ranges[index].some((range) => range[0] <= threshold)) first.push(description);
+            if (ranges[index].length === 0
+                || ranges[index].some((range) => range[1] > threshold)) second.push(description);
+        });
+        const score = scoreSplit(first, second, descriptions.length);
+        if (isBetter(score, best && best.score)) {
+            best = {
+                leads: [{ max: threshold, taxa: first }, { min: threshold, taxa: second }],
+                score,
+            };
+        }
+    });
+    return best;
+};
+
+/**
+ * Get label for a lead (state titles, or numerical threshold with unit)
+ *
+ * @param {Object} character Character
+ * @param {Object} lead Lead
+ * @param {string} language Language code
+ * @returns {string} Label
+ */
+const getLeadText = (character, lead, language) => {
+    const title = getText(character.title, language) || character.id;
+    if (lead.stateIds) {
+        const states = lead.stateIds.map((id) => {
+            const state = character.states.find((element) => element.id === id);
+            return getText(state.title, language) || id;
+        });
+        return `${title}: ${states.join(' or ')}`;
+    }
+    const unit = getText(character.states && character.states.unit, language);
+    const value = `${lead.max !== undefined ? `≤ ${lead.max}` : `> ${lead.min}`}${unit ? ` ${unit}` : ''}`;
+    return `${title}: ${value}`;
+};
+
+/**
+ * Get higher taxa by the IDs of their terminal taxa
+ *
+ * @param {Array} taxa Taxon tree
+ * @returns {Object} Higher taxa by sorted, comma separated terminal taxon IDs
+ */
+const getHigherTaxa = (taxa) => {
+    const higherTaxa = {};
+    flattenTaxa(taxa).forEach(({ taxon }) => {
+        if (taxon.children && taxon.children.length > 0) {
+            const ids = getTerminalTaxa(taxon.children).map((element) => element.id).sort();
+            higherTaxa[ids.join(',')] = taxon;
+        }
+    });
+    return higherTaxa;
+};
+
+/**
+ * Get taxon reference for key output
+ *
+ * @param {Object} taxon Taxon
+ * @param {string} language Language code
+ * @returns {Object} Taxon ID and names
+ */
+const getTaxonName = (taxon, language) => ({
+    taxonId: taxon.id,
+    scientificName: taxon.scientificName,
+    vernacularName: getText(taxon.vernacularName, language),
+});
+
+/**
+ * Create dichotomous (couplet based) key from revision content. Characters are chosen by how
+ * evenly they split the remaining taxa, and only characters that are applicable to all the
+ * remaining taxa (logical premise) are used.
+ *
+ * @param {Object} content Revision content
+ * @param {string} language Language code
+ * @returns {Object} Couplets (numbered from 1) with two leads that refer to a couplet or taxa
+ */
+export const createDichotomousKey = (content, language) => {
+    const characters = content.characters || [];
+    const higherTaxa = getHigherTaxa(content.taxa);
+    const couplets = [];
+    const build = (descriptions) => {
+        let best;
+        let bestCharacter;
+        characters.forEach((character) => {
+            if (descriptions.every((element) => isApplicable(character, element.statements))) {
+                const split = isNumerical(character)
+                    ? splitByValue(character, descriptions)
+                    : splitByStates(character, descriptions);
+                if (split && isBetter(split.score, best && best.score)) {
+                    best = split;
+                    bestCharacter = character;
+                }
+            }
+        });
+        if (!best) return undefined;
+        const couplet = { number: couplets.length + 1, characterId: bestCharacter.id, leads: [] };
+        couplets.push(couplet);
+        best.leads.forEach((lead, index) => {
+            const element = {
+                label: index === 0 ? 'a' : 'b',
+                text: getLeadText(bestCharacter, lead, language),
+                ...(lead.stateIds ? { stateIds: lead.stateIds } : { min: lead.min, max: lead.max }),
+            };
+            const group = higherTaxa[lead.taxa.map(({ taxon }) => taxon.id).sort().join(',')];
+            if (group) element.group = getTaxonName(group, language);
+            const next = lead.taxa.length > 1 ? build(lead.taxa) : undefined;
+            if (next) {
+                element.couplet = next;
+            } else element.taxa = lead.taxa.map(({ taxon }) => getTaxonName(taxon, language));
+            couplet.leads.push(element);
+        });
+        return couplet.number;
+    };
+    const descriptions = getTaxonDescriptions(content);
+    if (descriptions.length > 1) build(descriptions);
+    return {
+        couplets,
+        taxa: descriptions.length === 1 ? [getTaxonName(descriptions[0].taxon, language)] : [],
+    };
+};
+
+/**
+ * Get name of taxa at the end of a lead
+ *
+ * @param {Array} taxa Taxa
+ * @returns {string} Names
+ */
+const getResultText = (taxa) => taxa.map(
+    (taxon) => [taxon.scientificName, taxon.vernacularName].filter((name) => name).join(' - ')
+        || taxon.taxonId,
+).join(' / ');
+
+/**
+ * Render dichotomous key as plain text (1a / 1b couplets)
+ *
+ * @param {Object} key Dichotomous key
+ * @returns {string} Text
+ */
+export const renderDichotomousText = (key) => {
+    if (key.couplets.length === 0) return `${getResultText(key.taxa)}\n`;
+    return `${key.couplets.map((couplet) => couplet.leads.map((lead) => {
+        const result = lead.couplet ? `${lead.couplet}` : getResultText(lead.taxa);
+        return `${couplet.number}${lead.label}. ${lead.text} .... ${result}`;
+    }).join('\n')).join('\n\n')}\n`;
+};
+
+/**
+ * Escape text for HTML
+ *
+ * @param {string} text Text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => `${text}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Render dichotomous key as HTML document (couplets link to the next couplet)
+ *
+ * @param {Object} key Dichotomous key
+ * @param {string} title Key title
+ * @returns {string} HTML
+ */
+export const renderDichotomousHtml = (key, title) => {
+    const couplets = key.couplets.map((couplet) => {
+        const leads = couplet.leads.map((lead) => {
+            const result = lead.couplet
+                ? `<a href="#couplet-${lead.couplet}">${lead.couplet}</a>`
+                : `<em>${escapeHtml(getResultText(lead.taxa))}</em>`;
+            return `<tr><td>${couplet.number}${lead.label}</td><td>${escapeHtml(lead.text)}</td><td>${result}</td></tr>`;
+        }).join('\n');
+        return `<tbody id="couplet-${couplet.number}">\n${leads}\n</tbody>`;
+    }).join('\n');
+    return '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n'
+        + `<title>${escapeHtml(title || '')}</title>\n</head>\n<body>\n`
+        + `<h1>${escapeHtml(title || '')}</h1>\n<table>\n${couplets}\n</table>\n</body>\n</html>\n`;
+};
@@ -0,0 +1,166 @@
+import { flattenTaxa } from './content.js';
+
+/**
+ * Convert value to JSON with sorted object keys (for comparing values)
+ *
+ * @param {Object} value Value
+ * @returns {string} JSON string
+ */
+const toSortedJson = (value) => JSON.stringify(value, (key, element) => {
+    if (element && typeof element === 'object' && !Array.isArray(element)) {
+        return Object.keys(element).sort().reduce((obj, name) => {
+            obj[name] = element[name];
+            return obj;
+        }, {});
+    }
+    return element;
+});
+
+/**
+ * Check if two values are equal
+ *
+ * @param {Object} a First value
+ * @param {Object} b Second value
+ * @returns {boolean} True if equal
+ */
+export const isEqual = (a, b) => toSortedJson(a) === toSortedJson(b);
+
+/**
+ * Get key for statement (taxon, character and state, or taxon and character for
+ * numerical statements, since statement IDs are not kept when statements are edited)
+ *
+ * @param {Object} statement Statement
+ * @returns {string} Statement key
+ */
+const getStatementKey = (statement) => (statement.state !== undefined
+    ? `${statement.taxonId}|${statement.characterId}|${statement.state}`
+    : `${statement.taxonId}|${statement.characterId}`);
+
+/**
+ * Split revision into entities by type. Taxa get parent ID and position in the taxon tree,
+ * states get character ID and position, and logical premises are kept per character.
+ *
+ * @param {Object} revision Revision (content and media)
+ * @returns {Object} Entities by ID for each entity type
+ */
+export const getRevisionEntities = (revision) => {
+    const content = (revision && revision.content) || {};
+    const media = (revision && revision.media) || {};
+    const entities = {
+        taxa: {},
+        characters: {},
+        states: {},
+        premises: {},
+        statements: {},
+        mediaElements: {},
+        persons: {},
+    };
+    const positions = {};
+    flattenTaxa(content.taxa).forEach(({ taxon, parentId }) => {
+        const { children, ...rest } = taxon;
+        const parent = parentId || null;
+        positions[parent] = positions[parent] === undefined ? 0 : positions[parent] + 1;
+        entities.taxa[taxon.id] = { ...rest, parentId: parent, position: positions[parent] };
+    });
+    (content.characters || []).forEach((character, index) => {
+        const { states, logicalPremise, ...rest } = character;
+        entities.characters[character.id] = { ...rest, position: index };
+        if (Array.isArray(states)) {
+            states.forEach((state, position) => {
+                entities.states[state.id] = { ...state, characterId: character.id, position };
+            });
+        } else if (states !== undefined) entities.characters[character.id].states = states;
+        if (logicalPremise !== undefined) entities.premises[character.id] = logicalPremise;
+    });
+    (content.statements || []).forEach((statement) => {
+        entities.statements[getStatementKey(statement)] = statement;
+    });
+    (media.mediaElements || []).forEach((element) => {
+        entities.mediaElements[element.id] = element;
+    });
+    (media.persons || []).forEach((person) => {
+        entities.persons[person.id] = person;
+    });
+    return entities;
+};
+
+/**
+ * Get fields that differ between two versions of an entity
+ *
+ * @param {Object} from Old entity
+ * @param {Object} to New entity
+ * @param {Array} ignore Fields to ignore
+ * @returns {Object} Changed fields with old and new value
+ */
+export const getChangedFields = (from, to, ignore) => {
+    const fields = {};
+    [...new Set(Object.keys(from).concat(Object.keys(to)))]
+        .filter((field) => !ignore.includes(field))
+        .forEach((field) => {
+            if (!isEqual(from[field], to[field])) {
+                fields[field] = { from: from[field], to: to[field] };
+            }
+        });
+    return fields;
+};
+
+/**
+ * Compare entities of one type
+ *
+ * @param {Object} from Old entities by ID
+ * @param {Object} to New entities by ID
+ * @param {Array} ignore Fields to ignore when comparing
+ * @returns {Object} Added, removed and changed entities
+ */
+const diffEntities = (from, to, ignore) => {
+    const changed = [];
+    Object.keys(from).filter((id) => to[id]).forEach((id) => {
+        const fields = getChangedFields(from[id], to[id], ignore);
+        if (Object.keys(fields).length > 0) changed.push({ id, fields });
+    });
+    return {
+        added: Object.keys(to).filter((id) => !from[id]).map((id) => to[id]),
+        removed: Object.keys(from).filter((id) => !to[id]).map((id) => from[id]),
+        changed,
+    };
+};
+
+/**
+ * Compare two revisions entity by entity (taxa, characters, states, logical premises,
+ * statements and media elements). Moves in the taxon tree are reported separately.
+ *
+ * @param {Object} from Old revision
+ * @param {Object} to New revision
+ * @returns {Object} Differences by entity type, and number of differences
+ */
+export const diffRevisions = (from, to) => {
+    const a = getRevisionEntities(from);
+    const b = getRevisionEntities(to);
+    const diff = {
+        from: from.id,
+        to: to.id,
+        taxa: {
+            ...diffEntities(a.taxa, b.taxa, ['parentId', 'position']),
+            moved: Object.keys(a.taxa).filter(
+                (id) => b.taxa[id] && a.taxa[id].parentId !== b.taxa[id].parentId,
+            ).map((id) => ({ id, from: a.taxa[id].parentId, to: b.taxa[id].parentId })),
+        },
+        characters: diffEntities(a.characters, b.characters, ['position']),
+        states: diffEntities(a.states, b.states, ['position']),
+        premises: {
+            added: Object.keys(b.premises).filter((id) => a.premises[id] === undefined)
+                .map((id) => ({ characterId: id, logicalPremise: b.premises[id] })),
+            removed: Object.keys(a.premises).filter((id) => b.premises[id] === undefined)
+                .map((id) => ({ characterId: id, logicalPremise: a.premises[id] })),
+            changed: Object.keys(a.premises).filter((id) => b.premises[id] !== undefined
+                && !isEqual(a.premises[id], b.premises[id]))
+                .map((id) => ({ characterId: id, from: a.premises[id], to: b.premises[id] })),
+        },
+        statements: diffEntities(a.statements, b.statements, ['id']),
+        mediaElements: diffEntities(a.mediaElements, b.mediaElements, []),
+    };
+    diff.count = Object.values(diff).filter((element) => element && typeof element === 'object')
+        .reduce((sum, element) => sum + Object.values(element)
+            .reduce((count, arr) => count + arr.length, 0), 0);
+    return diff;
+};
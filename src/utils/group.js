@@ -3,27 +3,28 @@ import postgres from '../config/postgres.js';
 import Group from '../lib/database/models/Group.js';
 import GroupInfo from '../lib/database/models/GroupInfo.js';
 import GroupParents from '../lib/database/models/GroupParents.js';
+import { getLocalizedInfo } from './language.js';
 
 /**
- * Create key group info for no/en and add group parent
+ * Create key group info for each language with a name and add group parent
  *
  * @param {int} groupId Key group ID
  * @param {Object} body Request body
  */
 export const createGroupInfo = async (groupId, body) => {
     const promises = [];
-    promises.push(GroupInfo.create({
-        groupId,
-        name: body.nameNo,
-        description: body.descriptionNo,
-        languageCode: 'no',
-    }));
-    promises.push(GroupInfo.create({
-        groupId,
-        name: body.nameEn,
-        description: body.descriptionEn,
-        languageCode: 'en',
-    }));
+    Object.entries(getLocalizedInfo(body, ['name', 'description'])).forEach(
+        ([languageCode, info]) => {
+            if (info.name) {
+                promises.push(GroupInfo.create({
+                    groupId,
+                    name: info.name,
+                    description: info.description,
+                    languageCode,
+                }));
+            }
+        },
+    );
     if (body.parentId) {
         promises.push(GroupParents.create({
             groupId,
@@ -42,38 +43,27 @@ export const createGroupInfo = async (groupId, body) => {
  */
 export const updateGroupInfos = async (groups, groupId, body) => {
     const promises = [];
-    const infoNo = groups.find((element) => element.key_group_info && element.key_group_info.languageCode === 'no');
-    const infoEn = groups.find((element) => element.key_group_info && element.key_group_info.languageCode === 'en');
-    if (infoNo && infoNo.key_group_info) {
-        promises.push(GroupInfo.update({
-            name: body.nameNo,
-            description: body.descriptionNo,
-        }, {
-            where: { id: infoNo.key_group_info.id },
-        }));
-    } else {
-        promises.push(GroupInfo.create({
-            groupId,
-            name: body.nameNo,
-            description: body.descriptionNo,
-            languageCode: 'no',
-        }));
-    }
-    if (infoEn && infoEn.key_group_info) {
-        promises.push(GroupInfo.update({
-            name: body.nameEn,
-            description: body.descriptionEn,
-        }, {
-            where: { id: infoEn.key_group_info.id },
-        }));
-    } else {
-        promises.push(GroupInfo.create({
-            groupId,
-            name: body.nameEn,
-            description: body.descriptionEn,
-            languageCode: 'en',
-        }));
-    }
+    Object.entries(getLocalizedInfo(body, ['name', 'description'])).forEach(
+        ([languageCode, info]) => {
+            const element = groups.find((entry) => entry.key_group_info
+                && entry.key_group_info.languageCode === languageCode);
+            if (element) {
+                promises.push(GroupInfo.update({
+                    name: info.name,
+                    description: info.description,
+                }, {
+                    where: { id: element.key_group_info.id },
+                }));
+            } else if (info.name) {
+                promises.push(GroupInfo.create({
+                    groupId,
+                    name: info.name,
+                    description: info.description,
+                    languageCode,
+                }));
+            }
+        },
+    );
     await Promise.all(promises);
 };
 
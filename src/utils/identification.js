@@ -0,0 +1,155 @@
+import {
+    evaluatePremise,
+    getStatementRange,
+    getTaxonDescriptions,
+    getText,
+    isApplicable,
+    isNumerical,
+} from './content.js';
+import { getCharacterSplit, getInformationGain } from './metrics.js';
+
+/**
+ * Check if a taxon matches an answer. Taxa without statements for the character are kept,
+ * while taxa where the character is not applicable (logical premise) are removed. Numerical
+ * answers without a valid value are ignored.
+ *
+ * @param {Object} character Character
+ * @param {Object} answer Answer (state IDs or numerical value)
+ * @param {Array} statements Taxon statements
+ * @returns {boolean} True if the taxon matches
+ */
+const isMatch = (character, answer, statements) => {
+    const value = parseFloat(answer.value);
+    if (isNumerical(character) && !Number.isFinite(value)) return true;
+    if (!isApplicable(character, statements)) return false;
+    const arr = statements.filter((statement) => statement.characterId === character.id);
+    if (arr.length === 0) return true;
+    if (isNumerical(character)) {
+        return arr.some((statement) => {
+            const range = getStatementRange(statement);
+            return !range || (value >= range[0] && value <= range[1]);
+        });
+    }
+    return arr.some((statement) => (answer.stateIds || []).includes(statement.state));
+};
+
+/**
+ * Get taxa that match all answers
+ *
+ * @param {Object} content Revision content
+ * @param {Array} answers Answers (character ID, and state IDs or numerical value)
+ * @returns {Array} Remaining taxon descriptions (taxon and statements)
+ */
+export const getCandidates = (content, answers) => {
+    const characters = content.characters || [];
+    return getTaxonDescriptions(content).filter(({ statements }) => answers.every((answer) => {
+        const character = characters.find((element) => element.id === answer.characterId);
+        return !character || isMatch(character, answer, statements);
+    }));
+};
+
+/**
+ * Check if the logical premise of a character is met by the answers (conditions for
+ * characters that are not answered are not met)
+ *
+ * @param {Object} character Character
+ * @param {Array} answers Answers
+ * @returns {boolean} True if the character is relevant
+ */
+const isRelevant = (character, answers) => evaluatePremise(
+    character.logicalPremise,
+    (condition) => answers.some((answer) => answer.characterId === condition.characterId
+        && (answer.stateIds || []).includes(condition.stateId)),
+);
+
+/**
+ * Get characters that are not answered, and where the logical premise is met
+ *
+ * @param {Object} content Revision content
+ * @param {Array} answers Answers
+ * @returns {Array} Characters
+ */
+export const getRemainingCharacters = (content, answers) => (content.characters || [])
+    .filter((character) => !answers.some((answer) => answer.characterId === character.id))
+    .filter((character) => isRelevant(character, answers));
+
+/**
+ * Identify taxa from answers. Returns the remaining taxa, and the remaining characters with
+ * the states that would remove some, but not all, of the remaining taxa.
+ *
+ * @param {Object} content Revision content
+ * @param {Array} answers Answers (character ID, and state IDs or numerical value)
+ * @param {string} language Language code for titles
+ * @returns {Object} Remaining taxa and characters
+ */
+export const identify = (content, answers, language) => {
+    const candidates = getCandidates(content, answers);
+    const characters = getRemainingCharacters(content, answers).map((character) => {
+        const element = {
+            characterId: character.id,
+            title: getText(character.title, language),
+            type: isNumerical(character) ? 'numerical' : 'multistate',
+        };
+        if (isNumerical(character)) {
+            const ranges = candidates.map(({ statements }) => statements
+                .filter((statement) => statement.characterId === character.id)
+                .map((statement) => getStatementRange(statement))
+                .filter((range) => range)).flat();
+            const min = Math.min(...ranges.map((range) => range[0]));
+            const max = Math.max(...ranges.map((range) => range[1]));
+            element.range = ranges.length > 0 ? [min, max] : undefined;
+            element.informative = ranges.length > 1 && ranges.some(
+                (range) => range[0] > min || range[1] < max,
+            );
+        } else {
+            const split = getCharacterSplit(character, candidates);
+            element.states = split.states.map((state) => ({
+                stateId: state.id,
+                title: getText(state.title, language),
+                taxa: state.taxa.length + split.unknown.length,
+            })).filter((state) => state.taxa > 0 && state.taxa < candidates.length);
+            element.informative = element.states.length > 0;
+        }
+        return element;
+    });
+    return {
+        taxa: candidates.map(({ taxon }) => ({
+            taxonId: taxon.id,
+            scientificName: taxon.scientificName,
+            vernacularName: getText(taxon.vernacularName, language),
+        })),
+        characters,
+    };
+};
+
+/**
+ * Rank the remaining characters by expected information gain over the remaining taxa.
+ * If weighted, the gain is multiplied by the character reliability (0-1) and divided by
+ * the character difficulty (1-5), both defaulting to 1.
+ *
+ * @param {Object} content Revision content
+ * @param {Array} answers Answers (character ID, and state IDs or numerical value)
+ * @param {boolean} weighted True if the gain should be weighted
+ * @param {string} language Language code for titles
+ * @returns {Array} Characters sorted by score (best first)
+ */
+export const getSuggestions = (content, answers, weighted, language) => {
+    const candidates = getCandidates(content, answers);
+    return getRemainingCharacters(content, answers).map((character) => {
+        const informationGain = getInformationGain(
+            getCharacterSplit(character, candidates),
+            candidates.length,
+        );
+        const difficulty = character.difficulty > 0 ? character.difficulty : 1;
+        const reliability = character.reliability >= 0 ? character.reliability : 1;
+        return {
+            characterId: character.id,
+            title: getText(character.title, language),
+            informationGain,
+            difficulty,
+            reliability,
+            score: weighted ? (informationGain * reliability) / difficulty : informationGain,
+        };
+    }).filter((element) => element.informationGain > 0)
+        .sort((a, b) => b.score - a.score);
+};
@@ -0,0 +1,197 @@
+import { v4 as uuidv4 } from 'uuid';
+import Character from '../lib/database/models/Character.js';
+import CharacterState from '../lib/database/models/CharacterState.js';
+import Key from '../lib/database/models/Key.js';
+import Taxon from '../lib/database/models/Taxon.js';
+import { createMultiStates, createNumericalState } from './character.js';
+import { createPremise } from './content.js';
+import { createKeyMetadata } from './key.js';
+import { createRevision } from './revision.js';
+
+/**
+ * Create taxon entries and build taxon tree
+ *
+ * @param {string} keyId Key ID
+ * @param {Array} parsedTaxa Parsed taxa
+ * @returns {Object} Taxa array and map from references to taxon IDs
+ */
+const createTaxa = async (keyId, parsedTaxa) => {
+    const ids = {};
+    const nodes = {};
+    const taxa = [];
+    const entries = await Promise.all(parsedTaxa.map(() => Taxon.create({ keyId })));
+    parsedTaxa.forEach((element, index) => {
+        ids[element.ref] = `${entries[index].id}`;
+        nodes[element.ref] = {
+            id: `${entries[index].id}`,
+            scientificName: element.scientificName,
+            vernacularName: element.vernacularName,
+            description: element.description,
+        };
+    });
+    parsedTaxa.forEach((element) => {
+        const parent = element.parentRef && nodes[element.parentRef];
+        if (parent) {
+            if (!parent.children) parent.children = [];
+            parent.children.push(nodes[element.ref]);
+        } else taxa.push(nodes[element.ref]);
+    });
+    return { taxa, ids };
+};
+
+/**
+ * Create character and character state entries
+ *
+ * @param {string} keyId Key ID
+ * @param {Object} element Parsed character
+ * @returns {Object} Character
+ */
+const createCharacter = async (keyId, element) => {
+    const character = await Character.create({ type: element.type, keyId });
+    let states;
+    if (element.type === 'NUMERICAL') {
+        states = await createNumericalState(
+            character.id,
+            element.unit || {},
+            element.min,
+            element.max,
+            element.stepSize,
+        );
+    } else {
+        const entries = await Promise.all(element.states.map(
+            () => CharacterState.create({ characterId: character.id }),
+        ));
+        states = await createMultiStates(character, element.states.map((state, index) => ({
+            id: entries[index].id,
+            title: state.title,
+            description: state.description,
+        })));
+    }
+    return {
+        id: `${character.id}`,
+        title: element.title,
+        description: element.description,
+        type: element.type.toLowerCase(),
+        states,
+    };
+};
+
+/**
+ * Create characters and map references to character and state IDs
+ *
+ * @param {string} keyId Key ID
+ * @param {Array} parsedCharacters Parsed characters
+ * @returns {Object} Characters array and maps from references to character and state IDs
+ */
+const createCharacters = async (keyId, parsedCharacters) => {
+    const characterIds = {};
+    const stateIds = {};
+    const characters = await Promise.all(parsedCharacters.map(
+        (element) => createCharacter(keyId, element),
+    ));
+    parsedCharacters.forEach((element, index) => {
+        characterIds[element.ref] = characters[index].id;
+        if (element.type === 'NUMERICAL') {
+            stateIds[element.ref] = characters[index].states.id;
+        } else {
+            element.states.forEach((state, stateIndex) => {
+                stateIds[state.ref] = characters[index].states[stateIndex].id;
+            });
+        }
+    });
+    parsedCharacters.forEach((element, index) => {
+        if (element.premise) {
+            characters[index].logicalPremise = createPremise(element.premise.map((condition) => ({
+                characterId: characterIds[condition.characterRef],
+                stateId: stateIds[condition.stateRef],
+            })));
+        }
+    });
+    return { characters, characterIds, stateIds };
+};
+
+/**
+ * Set missing numerical ranges and step sizes from the parsed statements
+ *
+ * @param {Object} parsed Parsed key
+ */
+const setNumericalRanges = (parsed) => {
+    parsed.characters.filter((character) => character.type === 'NUMERICAL')
+        .forEach((character) => {
+            const values = [];
+            parsed.statements.forEach((statement) => {
+                if (statement.characterRef === character.ref) {
+                    values.push(statement.min, statement.max);
+                }
+            });
+            if (character.min === undefined || Number.isNaN(character.min)) {
+                character.min = values.length > 0 ? Math.min(...values) : 0;
+            }
+            if (character.max === undefined || Number.isNaN(character.max)) {
+                character.max = values.length > 0 ? Math.max(...values) : character.min;
+            }
+            if (character.stepSize === undefined || Number.isNaN(character.stepSize)) {
+                character.stepSize = values.every((value) => Number.isInteger(value)) ? 1 : 0.1;
+            }
+        });
+};
+
+/**
+ * Create taxon, character and state entries for parsed key and build revision content
+ *
+ * @param {string} keyId Key ID
+ * @param {Object} parsed Parsed key (taxa, characters and statements)
+ * @returns {Object} Revision content
+ */
+export const createImportedContent = async (keyId, parsed) => {
+    setNumericalRanges(parsed);
+    const { taxa, ids } = await createTaxa(keyId, parsed.taxa);
+    const { characters, characterIds, stateIds } = await createCharacters(
+        keyId,
+        parsed.characters,
+    );
+    const statements = parsed.statements.map((element) => {
+        const statement = {
+            id: uuidv4(),
+            taxonId: ids[element.taxonRef],
+            characterId: characterIds[element.characterRef],
+        };
+        if (element.stateRef) {
+            statement.state = stateIds[element.stateRef];
+        } else {
+            statement.state = stateIds[element.characterRef];
+            statement.value = [element.min, element.max];
+        }
+        return statement;
+    });
+    return { taxa, characters, statements };
+};
+
+/**
+ * Create new key with metadata and first revision from parsed key
+ *
+ * @param {Object} parsed Parsed key (key info, languages, taxa, characters and statements)
+ * @param {Object} body Request body
+ * @param {string} createdBy User ID
+ * @param {string} note Revision note
+ * @returns {Object} Key ID and revision ID
+ */
+export const createKeyFromImport = async (parsed, body, createdBy, note) => {
+    const key = await Key.create({
+        keyGroupId: body.groupId,
+        workgroupId: body.workgroupId ? body.workgroupId : null,
+        createdBy,
+        status: 'PRIVATE',
+    });
+    const info = parsed.info || {};
+    const title = {};
+    const description = {};
+    Object.entries(info).forEach(([languageCode, element]) => {
+        if (element.title) title[languageCode] = element.title;
+        if (element.description) description[languageCode] = element.description;
+    });
+    await createKeyMetadata(key.id, { languages: parsed.languages, title, description });
+    const content = await createImportedContent(key.id, parsed);
+    const revisionId = await createRevision(key, content, {}, createdBy, note);
+    return { keyId: key.id, revisionId };
+};
@@ -1,4 +1,8 @@
+import fs from 'fs';
 import Sequelize from 'sequelize';
+import postgres from '../config/postgres.js';
+import Character from '../lib/database/models/Character.js';
+import CharacterState from '../lib/database/models/CharacterState.js';
 import Collections from '../lib/database/models/Collections.js';
 import Editors from '../lib/database/models/Editors.js';
 import Group from '../lib/database/models/Group.js';
@@ -6,13 +10,24 @@ import Key from '../lib/database/models/Key.js';
 import KeyInfo from '../lib/database/models/KeyInfo.js';
 import KeyMedia from '../lib/database/models/KeyMedia.js';
 import Languages from '../lib/database/models/Languages.js';
+import Media from '../lib/database/models/Media.js';
+import MediaInfo from '../lib/database/models/MediaInfo.js';
 import Organization from '../lib/database/models/Organization.js';
 import OrganizationInfo from '../lib/database/models/OrganizationInfo.js';
 import Publishers from '../lib/database/models/Publishers.js';
 import Revision from '../lib/database/models/Revision.js';
+import Revisions from '../lib/database/models/Revisions.js';
+import Taxon from '../lib/database/models/Taxon.js';
 import User from '../lib/database/models/User.js';
 import Workgroup from '../lib/database/models/Workgroup.js';
-import { getEntityMedia, getKeyMedia } from './media.js';
+import DerivedKeys from '../models/DerivedKeys.js';
+import HiddenKeys from '../models/HiddenKeys.js';
+import KeyTransfers from '../models/KeyTransfers.js';
+import RevisionDeltas from '../models/RevisionDeltas.js';
+import { getLocalizedInfo, getUpdatedLanguages } from './language.js';
+import { logError, logInfo } from './logger.js';
+import { getEntityMediaList, getKeyMedia } from './media.js';
+import { materializeRevision } from './revision.js';
 
 /**
  * Get key by ID
@@ -95,50 +110,91 @@ export const getKey = async (keyId, language) => {
 };
 
 /**
- * Get all published/beta keys and keys created by the user
+ * Get where clause for key filters in request query (hidden keys are always excluded)
+ *
+ * @param {Object} query Request query
+ * @returns {Object} Where clause
+ */
+export const getKeyFilters = (query) => {
+    const where = {
+        status: query.status ? query.status : { [Sequelize.Op.not]: 'HIDDEN' },
+    };
+    if (query.workgroupId) where.workgroupId = parseInt(query.workgroupId, 10);
+    if (query.groupId) where.keyGroupId = parseInt(query.groupId, 10);
+    if (query.createdBy) where.createdBy = query.createdBy;
+    if (query.createdAfter || query.createdBefore) {
+        where.created_at = {};
+        if (query.createdAfter) where.created_at[Sequelize.Op.gte] = new Date(query.createdAfter);
+        if (query.createdBefore) where.created_at[Sequelize.Op.lte] = new Date(query.createdBefore);
+    }
+    return where;
+};
+
+/**
+ * Get order clause for key sort option (newest first by default)
+ *
+ * @param {string} sort Sort by (created, updated, title or status)
+ * @param {string} order Sort order (asc or desc)
+ * @returns {Array} Order clause
+ */
+export const getKeyOrder = (sort, order) => {
+    const direction = order ? order.toUpperCase() : undefined;
+    switch (sort) {
+        case 'title':
+            return [[Sequelize.literal(
+                `(SELECT MIN(info.${KeyInfo.rawAttributes.title.field}) `
+                + `FROM ${process.env.POSTGRES_SCHEMA}.${KeyInfo.tableName} AS info `
+                + `WHERE info.${KeyInfo.rawAttributes.keyId.field} = `
+                + `"${Key.name}".${Key.rawAttributes.id.field})`,
+            ), direction || 'ASC']];
+        case 'status':
+            return [['status', direction || 'ASC'], ['created_at', 'DESC']];
+        case 'updated':
+            return [['updated_at', direction || 'DESC']];
+        default:
+            return [['created_at', direction || 'DESC']];
+    }
+};
+
+/**
+ * Get published/beta keys and keys created by the user (filtered, sorted and paginated)
  *
  * @param {string} createdBy User ID
- * @param {string} language Language code
+ * @param {Object} query Request query (language, filters and sort options)
+ * @param {Object} pagination Limit and offset
  * @param {boolean} personal True if only get keys created by user
- * @returns {Array} Keys
+ * @returns {Object} Total number of keys and keys
  */
-export const getKeys = async (createdBy, language, personal) => {
-    const all = {
-        status: { [Sequelize.Op.not]: 'HIDDEN' },
-    };
-    const user = {
-        status: { [Sequelize.Op.not]: 'HIDDEN' },
-        createdBy,
-    };
-    const keys = await Key.findAll({
+export const getKeys = async (createdBy, query, pagination, personal) => {
+    const where = getKeyFilters(query);
+    if (personal) where.createdBy = createdBy;
+    const { count, rows } = await Key.findAndCountAll({
         attributes: { exclude: ['created_by', 'createdBy'] },
-        order: [['created_at', 'DESC']],
+        order: getKeyOrder(query.sort, query.order),
         include: [
             {
                 model: KeyInfo,
-                where: language ? { languageCode: language } : {},
+                where: query.language ? { languageCode: query.language } : {},
             },
             { model: Workgroup },
             { model: Group },
         ],
-        where: personal ? user : all,
-    });
-    const promises = [];
-    keys.forEach((key) => {
-        promises.push(getEntityMedia(
-            'key_media',
-            'artsapp_key_id',
-            KeyMedia,
-            key.id,
-        ));
+        where,
+        distinct: true,
+        limit: pagination.limit,
+        offset: pagination.offset,
     });
-    const media = await Promise.all(promises);
-    const arr = keys.map((key, index) => {
+    const media = await getEntityMediaList(
+        'key_media',
+        'artsapp_key_id',
+        rows.map((key) => key.id),
+    );
+    const keys = rows.map((key) => {
         const tmp = key.get({ plain: true });
-        tmp.media = media[index];
+        tmp.media = media[key.id];
         return (tmp);
     });
-    return arr;
+    return { count, keys };
 };
 
 /**
@@ -152,22 +208,18 @@ export const createKeyMetadata = async (keyId, body) => {
     body.languages.forEach((languageCode) => {
         promises.push(Languages.create({ keyId, languageCode }));
     });
-    if (body.titleNo) {
-        promises.push(KeyInfo.create({
-            keyId,
-            title: body.titleNo,
-            description: body.descriptionNo,
-            languageCode: 'no',
-        }));
-    }
-    if (body.titleEn) {
-        promises.push(KeyInfo.create({
-            keyId,
-            title: body.titleEn,
-            description: body.descriptionEn,
-            languageCode: 'en',
-        }));
-    }
+    Object.entries(getLocalizedInfo(body, ['title', 'description'])).forEach(
+        ([languageCode, info]) => {
+            if (info.title) {
+                promises.push(KeyInfo.create({
+                    keyId,
+                    title: info.title,
+                    description: info.description,
+                    languageCode,
+                }));
+            }
+        },
+    );
     if (body.collections && body.collections.length > 0) {
         body.collections.forEach((collectionId) => {
             promises.push(Collections.create({ keyId, collectionId }));
@@ -244,6 +296,7 @@ export const handleUpdateKey = async (keyId, body) => {
         }, {
             where: { id: keyId },
         });
+        await materializeRevision(body.revisionId);
     } else throw new Error();
 };
 
@@ -303,45 +356,198 @@ export const handleSetKeyPublishers = async (keyId, publishers) => {
  */
 export const handleSetKeyInfo = async (keyId, keys, body) => {
     const promises = [];
-    const infoNo = keys.find((element) => element.key_info && element.key_info.languageCode === 'no');
-    const infoEn = keys.find((element) => element.key_info && element.key_info.languageCode === 'en');
-    if (body.titleNo) {
-        if (infoNo && infoNo.key_info) {
-            promises.push(KeyInfo.update({
-                title: body.titleNo,
-                description: body.descriptionNo,
-            }, {
-                where: { id: infoNo.key_info.id },
-            }));
-        } else {
-            promises.push(KeyInfo.create({
-                keyId,
-                title: body.titleNo,
-                description: body.descriptionNo,
-                languageCode: 'no',
-            }));
+    const info = getLocalizedInfo(body, ['title', 'description']);
+    const existing = keys.filter((element) => element.key_info)
+        .map((element) => element.key_info.languageCode);
+    getUpdatedLanguages(body, ['title', 'description'], existing).forEach((languageCode) => {
+        const element = keys.find(
+            (key) => key.key_info && key.key_info.languageCode === languageCode,
+        );
+        const { title, description } = info[languageCode] || {};
+        if (title) {
+            if (element) {
+                promises.push(KeyInfo.update({
+                    title,
+                    description,
+                }, {
+                    where: { id: element.key_info.id },
+                }));
+            } else {
+                promises.push(KeyInfo.create({
+                    keyId,
+                    title,
+                    description,
+                    languageCode,
+                }));
+            }
+        } else if (!description && element) {
+            promises.push(KeyInfo.destroy({ where: { id: element.key_info.id } }));
         }
-    } else if (!body.descriptionNo && infoNo) {
-        promises.push(KeyInfo.destroy({ where: { id: infoNo.key_info.id } }));
-    }
-    if (body.titleEn) {
-        if (infoEn && infoEn.key_info) {
-            promises.push(KeyInfo.update({
-                title: body.titleEn,
-                description: body.descriptionEn,
-            }, {
-                where: { id: infoEn.key_info.id },
-            }));
-        } else {
-            promises.push(KeyInfo.create({
+    });
+    await Promise.all(promises);
+};
+
+/**
+ * Permanently delete key with revisions, taxa, characters, media and all links to the key
+ * (in one transaction), and delete the media files and bundles of the key
+ *
+ * @param {string} keyId Key ID
+ */
+export const deleteKey = async (keyId) => {
+    const filePath = `${process.env.MEDIA_PATH}/keys/${keyId}`;
+    const revisions = await Revisions.findAll({ where: { keyId } });
+    const revisionIds = revisions.map((element) => element.revisionId);
+    const characters = await Character.findAll({ attributes: ['id'], where: { keyId } });
+    const characterIds = characters.map((element) => element.id);
+    const keyMedia = await KeyMedia.findAll({ where: { keyId } });
+    const media = await Media.findAll({
+        attributes: ['id'],
+        where: {
+            [Sequelize.Op.or]: [
+                { id: { [Sequelize.Op.in]: keyMedia.map((element) => element.mediaId) } },
+                { filePath: { [Sequelize.Op.startsWith]: `${filePath}/` } },
+            ],
+        },
+    });
+    const mediaIds = media.map((element) => element.id);
+    await postgres.transaction(async (transaction) => {
+        await Key.update({ revisionId: null }, { where: { id: keyId }, transaction });
+        await Revisions.destroy({ where: { keyId }, transaction });
+        await RevisionDeltas.destroy({
+            where: { revisionId: { [Sequelize.Op.in]: revisionIds } },
+            transaction,
+        });
+        await Revision.destroy({
+            where: { id: { [Sequelize.Op.in]: revisionIds } },
+            transaction,
+        });
+        await KeyMedia.destroy({ where: { keyId }, transaction });
+        await MediaInfo.destroy({
+            where: { mediaId: { [Sequelize.Op.in]: mediaIds } },
+            transaction,
+        });
+        await Media.destroy({ where: { id: { [Sequelize.Op.in]: mediaIds } }, transaction });
+        await CharacterState.destroy({
+            where: { characterId: { [Sequelize.Op.in]: characterIds } },
+            transaction,
+        });
+        await Character.destroy({ where: { keyId }, transaction });
+        await Taxon.destroy({ where: { keyId }, transaction });
+        await Editors.destroy({ where: { keyId }, transaction });
+        await KeyTransfers.destroy({ where: { keyId }, transaction });
+        await HiddenKeys.destroy({ where: { keyId }, transaction });
+        await DerivedKeys.destroy({ where: { keyId }, transaction });
+        await Collections.destroy({ where: { keyId }, transaction });
+        await Publishers.destroy({ where: { keyId }, transaction });
+        await Languages.destroy({ where: { keyId }, transaction });
+        await KeyInfo.destroy({ where: { keyId }, transaction });
+        await Key.destroy({ where: { id: keyId }, transaction });
+    });
+    await fs.promises.rm(filePath, { recursive: true, force: true });
+    await fs.promises.rm(`${process.env.MEDIA_PATH}/bundles/${keyId}`, { recursive: true, force: true });
+};
+
+/**
+ * Hide key (move to trash) and store the current status so that it can be restored
+ *
+ * @param {string} keyId Key ID
+ * @param {string} createdBy User ID (only the key owner can hide the key)
+ */
+export const hideKey = async (keyId, createdBy) => {
+    const key = await Key.findOne({
+        where: {
+            id: keyId,
+            createdBy,
+            status: { [Sequelize.Op.not]: 'HIDDEN' },
+        },
+    });
+    if (key) {
+        await postgres.transaction(async (transaction) => {
+            await HiddenKeys.upsert({
                 keyId,
-                title: body.titleEn,
-                description: body.descriptionEn,
-                languageCode: 'en',
-            }));
-        }
-    } else if (!body.descriptionEn && infoEn) {
-        promises.push(KeyInfo.destroy({ where: { id: infoEn.key_info.id } }));
+                previousStatus: key.status,
+                hiddenAt: new Date(),
+            }, { transaction });
+            await key.update({ status: 'HIDDEN' }, { transaction });
+        });
     }
-    await Promise.all(promises);
+};
+
+/**
+ * Restore hidden key to the status it had before it was hidden
+ *
+ * @param {string} keyId Key ID
+ * @param {string} createdBy User ID (only the key owner can restore the key)
+ * @returns {boolean} True if key was restored
+ */
+export const restoreKey = async (keyId, createdBy) => {
+    const key = await Key.findOne({ where: { id: keyId, createdBy, status: 'HIDDEN' } });
+    if (key) {
+        const hiddenKey = await HiddenKeys.findByPk(keyId);
+        await postgres.transaction(async (transaction) => {
+            await key.update({
+                status: hiddenKey ? hiddenKey.previousStatus : 'PRIVATE',
+            }, { transaction });
+            await HiddenKeys.destroy({ where: { keyId }, transaction });
+        });
+        return true;
+    }
+    return false;
+};
+
+/**
+ * Get time when keys were hidden and the status they will be restored to
+ *
+ * @param {Array} keyIds Key IDs
+ * @returns {Object} Hidden keys by key ID
+ */
+export const getHiddenKeys = async (keyIds) => {
+    const hiddenKeys = await HiddenKeys.findAll({
+        where: { keyId: { [Sequelize.Op.in]: keyIds } },
+    });
+    const obj = {};
+    hiddenKeys.forEach((element) => { obj[element.keyId] = element; });
+    return obj;
+};
+
+/**
+ * Permanently delete keys that have been hidden longer than the retention period
+ */
+export const purgeHiddenKeys = async () => {
+    try {
+        const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+        const hiddenKeys = await HiddenKeys.findAll({
+            attributes: ['keyId'],
+            where: {
+                hiddenAt: { [Sequelize.Op.lt]: new Date(Date.now() - days * 86400000) },
+            },
+        });
+        const keys = await Key.findAll({
+            attributes: ['id'],
+            where: {
+                id: { [Sequelize.Op.in]: hiddenKeys.map((element) => element.keyId) },
+                status: 'HIDDEN',
+            },
+        });
+        // Delete one key at a time to keep transactions small
+        await keys.reduce(
+            (promise, key) => promise.then(() => deleteKey(key.id)),
+            Promise.resolve(),
+        );
+        if (keys.length > 0) logInfo(`Purged ${keys.length} hidden key(s)`);
+    } catch (err) {
+        logError('Could not purge hidden keys', err);
+    }
+};
+
+/**
+ * Get the key and revision that a cloned key was derived from
+ *
+ * @param {string} keyId Key ID
+ * @returns {Object} Source key ID and revision ID (null if the key is not a clone)
+ */
+export const getDerivedFrom = async (keyId) => {
+    const derivedKey = await DerivedKeys.findByPk(keyId);
+    if (!derivedKey) return null;
+    return { keyId: derivedKey.sourceKeyId, revisionId: derivedKey.sourceRevisionId };
 };
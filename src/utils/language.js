@@ -0,0 +1,134 @@
+const languageCodePattern = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+/**
+ * Check if value is a language code (for example no, en or pt-BR)
+ *
+ * @param {string} value Value to check
+ * @returns {boolean} True if valid
+ */
+export const isLanguageCode = (value) => typeof value === 'string' && languageCodePattern.test(value);
+
+/**
+ * Check if value is localized text (language code as key and text as value)
+ *
+ * @param {Object} value Value to check
+ * @returns {boolean} True if valid (throws error if not)
+ */
+export const isLocalizedText = (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)
+        || Object.keys(value).length === 0) throw new Error('Invalid value');
+    Object.entries(value).forEach(([languageCode, text]) => {
+        if (!isLanguageCode(languageCode)) throw new Error('Invalid language code');
+        if (typeof text !== 'string') throw new Error('Invalid value');
+    });
+    return true;
+};
+
+/**
+ * Check if localized text has text in at least one language
+ *
+ * @param {Object} value Value to check
+ * @returns {boolean} True if valid (throws error if not)
+ */
+export const hasLocalizedText = (value) => {
+    isLocalizedText(value);
+    if (!Object.values(value).some((text) => text.length > 0)) throw new Error('Missing text');
+    return true;
+};
+
+/**
+ * Get localized text from request body. The text can be given as a { languageCode: text }
+ * object, or with the field name suffixed with No or En (for example titleNo and titleEn).
+ *
+ * @param {Object} body Request body
+ * @param {string} field Field name
+ * @returns {Object} Text by language code (undefined if there is no text)
+ */
+export const getLocalizedText = (body, field) => {
+    const text = {};
+    const value = body ? body[field] : undefined;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([languageCode, element]) => {
+            if (typeof element === 'string' && element !== '') text[languageCode] = element;
+        });
+    }
+    if (body && body[`${field}No`] && !text.no) text.no = body[`${field}No`];
+    if (body && body[`${field}En`] && !text.en) text.en = body[`${field}En`];
+    if (Object.keys(text).length > 0) return text;
+    return undefined;
+};
+
+/**
+ * Get localized fields from request body grouped by language
+ *
+ * @param {Object} body Request body
+ * @param {Array} fields Field names
+ * @returns {Object} Fields by language code, for example { no: { title, description } }
+ */
+export const getLocalizedInfo = (body, fields) => {
+    const info = {};
+    fields.forEach((field) => {
+        const text = getLocalizedText(body, field);
+        if (text) {
+            Object.entries(text).forEach(([languageCode, element]) => {
+                if (!info[languageCode]) info[languageCode] = {};
+                info[languageCode][field] = element;
+            });
+        }
+    });
+    return info;
+};
+
+/**
+ * Check if any of the fields in the request body is given as localized text object
+ *
+ * @param {Object} body Request body
+ * @param {Array} fields Field names
+ * @returns {boolean} True if localized text objects are used
+ */
+export const isLocalizedInput = (body, fields) => fields.some(
+    (field) => body[field] && typeof body[field] === 'object' && !Array.isArray(body[field]),
+);
+
+/**
+ * Get languages that should be updated when setting localized info. Only Norwegian and
+ * English are updated for input with No and En fields, while all existing languages are
+ * updated for localized text objects.
+ *
+ * @param {Object} body Request body
+ * @param {Array} fields Field names
+ * @param {Array} existing Existing language codes
+ * @returns {Array} Language codes
+ */
+export const getUpdatedLanguages = (body, fields, existing) => {
+    if (!isLocalizedInput(body, fields)) return ['no', 'en'];
+    return [...new Set(existing.concat(Object.keys(getLocalizedInfo(body, fields))))];
+};
+
+/**
+ * Get language codes used in localized text objects in the request body
+ *
+ * @param {Object} body Request body
+ * @param {Array} fields Field names
+ * @returns {Array} Language codes
+ */
+export const getInputLanguages = (body, fields) => {
+    const languages = new Set();
+    fields.forEach((field) => {
+        if (body[field] && typeof body[field] === 'object' && !Array.isArray(body[field])) {
+            Object.keys(body[field]).forEach((languageCode) => languages.add(languageCode));
+        }
+    });
+    return Array.from(languages);
+};
+
+/**
+ * Get conditions for finding entries with the same localized text (one per language)
+ *
+ * @param {Object} body Request body
+ * @param {string} field Field name
+ * @returns {Array} Conditions with text and language code
+ */
+export const getLocalizedConditions = (body, field) => Object.entries(
+    getLocalizedText(body, field) || {},
+).map(([languageCode, text]) => ({ [field]: text, languageCode }));
@@ -0,0 +1,365 @@
+import ExcelJS from 'exceljs';
+import { Readable } from 'stream';
+import {
+    flattenTaxa,
+    getStatementRange,
+    getText,
+    isNumerical,
+} from './content.js';
+
+const numberPattern = /^(-?\d+(?:[.,]\d+)?)\s*(?:[-–]\s*(-?\d+(?:[.,]\d+)?))?$/;
+const unitPattern = /^(.*\S)\s*\(([^()]+)\)$/;
+
+/**
+ * Read first worksheet from XLSX or CSV file
+ *
+ * @param {Buffer} buffer File contents
+ * @param {string} extension File extension
+ * @returns {Object} Worksheet
+ */
+const readWorksheet = async (buffer, extension) => {
+    const workbook = new ExcelJS.Workbook();
+    if (extension === '.csv') {
+        const firstLine = buffer.toString('utf8').split('\n')[0];
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+        return workbook.csv.read(Readable.from(buffer), {
+            parserOptions: { delimiter },
+            map: (value) => value,
+        });
+    }
+    await workbook.xlsx.load(buffer);
+    return workbook.worksheets[0];
+};
+
+/**
+ * Get cell text
+ *
+ * @param {Object} cell Worksheet cell
+ * @returns {string} Trimmed cell text
+ */
+const getCellText = (cell) => {
+    const { value } = cell;
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map((element) => element.text).join('').trim();
+        if (value.result !== undefined) return `${value.result}`.trim();
+        if (value.text !== undefined) return `${value.text}`.trim();
+    }
+    return `${value}`.trim();
+};
+
+/**
+ * Parse numerical cell value
+ *
+ * @param {string} text Cell text
+ * @returns {Array} Min and max value (undefined if not a number or range)
+ */
+const parseRange = (text) => {
+    const match = text.match(numberPattern);
+    if (match) {
+        const min = parseFloat(match[1].replace(',', '.'));
+        const max = match[2] !== undefined ? parseFloat(match[2].replace(',', '.')) : min;
+        return [min, max];
+    }
+    return undefined;
+};
+
+/**
+ * Split multistate cell value into state labels
+ *
+ * @param {string} text Cell text
+ * @returns {Array} State labels
+ */
+const splitStates = (text) => text.split(/[|;]/).map((label) => label.trim()).filter((label) => label);
+
+/**
+ * Parse numerical cell value with one or more numbers or ranges separated by | or ;
+ *
+ * @param {string} text Cell text
+ * @returns {Array} Min and max values (undefined if any value is not a number or range)
+ */
+const parseRanges = (text) => {
+    const ranges = splitStates(text).map(parseRange);
+    return ranges.length > 0 && ranges.every((range) => range) ? ranges : undefined;
+};
+
+/**
+ * Read taxa from matrix rows
+ *
+ * @param {Array} rows Matrix rows
+ * @param {int} parentColumn Index of parent column (-1 if none)
+ * @param {Function} addError Add validation error
+ * @returns {Array} Taxa
+ */
+const readTaxa = (rows, parentColumn, addError) => {
+    const taxa = [];
+    rows.forEach((row) => {
+        const name = row.cells[0].text;
+        if (!name) {
+            if (row.cells.some((cell) => cell.text)) addError(row.cells[0], 'Missing taxon name');
+        } else if (taxa.some(
+            (taxon) => taxon.scientificName.toUpperCase() === name.toUpperCase(),
+        )) {
+            addError(row.cells[0], `Duplicate taxon name: ${name}`);
+        } else taxa.push({ ref: `t${row.number}`, scientificName: name, row });
+    });
+    if (parentColumn >= 0) {
+        taxa.forEach((taxon) => {
+            const cell = taxon.row.cells[parentColumn];
+            if (cell.text) {
+                const parent = taxa.find(
+                    (element) => element.scientificName.toUpperCase() === cell.text.toUpperCase(),
+                );
+                if (!parent || parent === taxon) {
+                    addError(cell, `Unknown parent taxon: ${cell.text}`);
+                } else taxon.parentRef = parent.ref;
+            }
+        });
+        taxa.forEach((taxon) => {
+            const visited = [taxon.ref];
+            let parent = taxa.find((element) => element.ref === taxon.parentRef);
+            while (parent) {
+                if (visited.includes(parent.ref)) {
+                    addError(taxon.row.cells[parentColumn], 'Circular parent taxon');
+                    taxon.parentRef = undefined;
+                    break;
+                }
+                visited.push(parent.ref);
+                const { parentRef } = parent;
+                parent = taxa.find((element) => element.ref === parentRef);
+            }
+        });
+    }
+    return taxa;
+};
+
+/**
+ * Read character column
+ *
+ * @param {Object} header Header cell
+ * @param {Array} cells Column cells for taxa
+ * @param {string} language Language code
+ * @param {Function} addError Add validation error
+ * @returns {Object} Character and statements
+ */
+const readCharacter = (header, cells, language, addError) => {
+    const ref = `c${header.column}`;
+    const statements = [];
+    const filled = cells.filter(({ cell }) => cell.text);
+    const unitMatch = header.text.match(unitPattern);
+    const numerical = (unitMatch && filled.length > 0
+        && filled.some(({ cell }) => parseRanges(cell.text)))
+        || (filled.length > 0 && filled.every(({ cell }) => parseRanges(cell.text)));
+    if (numerical) {
+        const character = {
+            ref,
+            type: 'NUMERICAL',
+            title: { [language]: unitMatch ? unitMatch[1] : header.text },
+            unit: unitMatch ? { [language]: unitMatch[2] } : undefined,
+        };
+        filled.forEach(({ cell, taxon }) => {
+            const ranges = parseRanges(cell.text);
+            if (!ranges) {
+                addError(cell, `Invalid number or range: ${cell.text}`);
+            } else if (ranges.some((range) => range[0] > range[1])) {
+                addError(cell, `Minimum value is larger than maximum value: ${cell.text}`);
+            } else {
+                ranges.forEach((range) => statements.push({
+                    taxonRef: taxon.ref, characterRef: ref, min: range[0], max: range[1],
+                }));
+            }
+        });
+        return { character, statements };
+    }
+    const states = [];
+    filled.forEach(({ cell, taxon }) => {
+        splitStates(cell.text).forEach((label) => {
+            let state = states.find(
+                (element) => element.label.toUpperCase() === label.toUpperCase(),
+            );
+            if (!state) {
+                state = { ref: `${ref}:${states.length}`, label, title: { [language]: label } };
+                states.push(state);
+            }
+            statements.push({ taxonRef: taxon.ref, characterRef: ref, stateRef: state.ref });
+        });
+    });
+    if (states.length < 2) addError(header, 'Character must have at least two states');
+    return {
+        character: {
+            ref,
+            type: 'MULTISTATE',
+            title: { [language]: header.text },
+            states: states.map((state) => ({ ref: state.ref, title: state.title })),
+        },
+        statements,
+    };
+};
+
+/**
+ * Parse taxa x characters matrix from XLSX or CSV file. The first column holds the taxon
+ * names, an optional column named "Parent" holds the parent taxon names, and the other
+ * columns are characters. Numerical cells hold numbers or ranges (for example 1.5-3), and
+ * a unit can be given in parentheses in the header. Multistate cells hold state labels, and
+ * multiple values or labels are separated by | or ;.
+ *
+ * @param {Buffer} buffer File contents
+ * @param {string} extension File extension (.xlsx or .csv)
+ * @param {string} language Language code for titles
+ * @returns {Object} Parsed key (taxa, characters and statements) and validation errors
+ */
+export const parseMatrix = async (buffer, extension, language) => {
+    const worksheet = await readWorksheet(buffer, extension);
+    const errors = [];
+    const addError = (cell, message) => errors.push({
+        cell: cell.address, row: cell.row, column: cell.column, message,
+    });
+    const rows = [];
+    const columnCount = worksheet ? worksheet.columnCount : 0;
+    if (worksheet) {
+        worksheet.eachRow((row, number) => {
+            const cells = [];
+            for (let i = 1; i <= columnCount; i += 1) {
+                const cell = row.getCell(i);
+                cells.push({
+                    address: cell.address, row: number, column: i, text: getCellText(cell),
+                });
+            }
+            rows.push({ number, cells });
+        });
+    }
+    if (rows.length < 2 || columnCount < 2) {
+        errors.push({ message: 'Matrix must have a header row, at least one taxon and one character' });
+        return { errors };
+    }
+    const headers = rows[0].cells;
+    const parentColumn = headers.findIndex(
+        (header, index) => index > 0 && header.text.toUpperCase() === 'PARENT',
+    );
+    const taxa = readTaxa(rows.slice(1), parentColumn, addError);
+    const characters = [];
+    let statements = [];
+    headers.forEach((header, index) => {
+        if (index > 0 && index !== parentColumn) {
+            const cells = taxa.map((taxon) => ({ taxon, cell: taxon.row.cells[index] }));
+            if (!header.text) {
+                if (cells.some(({ cell }) => cell.text)) addError(header, 'Missing character title');
+            } else if (characters.some((element) => element.title[language].toUpperCase()
+                === header.text.replace(unitPattern, '$1').toUpperCase())) {
+                addError(header, `Duplicate character title: ${header.text}`);
+            } else {
+                const response = readCharacter(header, cells, language, addError);
+                characters.push(response.character);
+                statements = statements.concat(response.statements);
+            }
+        }
+    });
+    return {
+        parsed: {
+            taxa: taxa.map((taxon) => ({
+                ref: taxon.ref, parentRef: taxon.parentRef, scientificName: taxon.scientificName,
+            })),
+            characters,
+            statements,
+        },
+        errors,
+    };
+};
+
+/**
+ * Get cell value for taxon and character
+ *
+ * @param {Object} character Character object
+ * @param {Array} statements Statements for the taxon and character
+ * @param {string} language Language code
+ * @returns {string} Cell value
+ */
+const getMatrixValue = (character, statements, language) => {
+    if (isNumerical(character)) {
+        return statements.map(getStatementRange).filter((range) => range)
+            .map((range) => (range[0] === range[1] ? `${range[0]}` : `${range[0]}-${range[1]}`))
+            .join(' | ');
+    }
+    return (character.states || [])
+        .filter((state) => statements.some((statement) => statement.state === state.id))
+        .map((state) => getText(state.title, language) || '')
+        .join(' | ');
+};
+
+/**
+ * Create taxa x characters worksheet (same layout as the matrix import: taxon names, parent
+ * taxon names and one column per character)
+ *
+ * @param {Object} workbook Workbook
+ * @param {Object} content Revision content
+ * @param {string} language Language code
+ */
+const addMatrixWorksheet = (workbook, content, language) => {
+    const worksheet = workbook.addWorksheet('Matrix');
+    const characters = content.characters || [];
+    const statements = content.statements || [];
+    const taxa = flattenTaxa(content.taxa);
+    worksheet.addRow(['Scientific name', 'Parent'].concat(characters.map((character) => {
+        const title = getText(character.title, language) || '';
+        const unit = isNumerical(character) && character.states
+            ? getText(character.states.unit, language) : '';
+        return unit ? `${title} (${unit})` : title;
+    })));
+    worksheet.getRow(1).font = { bold: true };
+    taxa.forEach(({ taxon, parentId }) => {
+        const parent = parentId && taxa.find((element) => element.taxon.id === parentId);
+        worksheet.addRow([
+            taxon.scientificName,
+            parent ? parent.taxon.scientificName : '',
+        ].concat(characters.map((character) => getMatrixValue(
+            character,
+            statements.filter((statement) => statement.taxonId === taxon.id
+                && statement.characterId === character.id),
+            language,
+        ))));
+    });
+    worksheet.views = [{ state: 'frozen', xSplit: 1, ySplit: 1 }];
+};
+
+/**
+ * Create media attribution worksheet
+ *
+ * @param {Object} workbook Workbook
+ * @param {Object} media Revision media
+ * @param {string} language Language code
+ */
+const addMediaWorksheet = (workbook, media, language) => {
+    const worksheet = workbook.addWorksheet('Media');
+    const persons = media.persons || [];
+    worksheet.addRow(['Media ID', 'Title', 'License', 'Creators']);
+    worksheet.getRow(1).font = { bold: true };
+    (media.mediaElements || []).forEach((element) => {
+        worksheet.addRow([
+            `${element.id}`,
+            getText(element.title, language) || '',
+            element.license || '',
+            (element.creators || []).map((id) => {
+                const person = persons.find((tmp) => tmp.id === id);
+                return person ? person.name : id;
+            }).join(', '),
+        ]);
+    });
+};
+
+/**
+ * Render revision statements as taxa x characters spreadsheet (the CSV format only
+ * includes the matrix, and the XLSX format also includes a media attribution sheet)
+ *
+ * @param {Object} revision Revision object
+ * @param {string} format File format (xlsx or csv)
+ * @param {string} language Language code for titles
+ * @returns {Buffer} File contents
+ */
+export const createMatrixFile = async (revision, format, language) => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'ArtsApp Builder API';
+    addMatrixWorksheet(workbook, revision.content || {}, language);
+    if (format === 'csv') return workbook.csv.writeBuffer({ sheetName: 'Matrix' });
+    addMediaWorksheet(workbook, revision.media || {}, language);
+    return workbook.xlsx.writeBuffer();
+};
@@ -15,6 +15,8 @@ import CollectionMedia from '../lib/database/models/CollectionMedia.js';
 import Collection from '../lib/database/models/Collection.js';
 import postgres from '../config/postgres.js';
 import Revision from '../lib/database/models/Revision.js';
+import { getLocalizedText, getUpdatedLanguages } from './language.js';
+import { updateRevision } from './revision.js';
 import { findTaxonById } from './taxon.js';
 import Revisions from '../lib/database/models/Revisions.js';
 
@@ -107,20 +109,13 @@ const createMedia = async (file, fileInfo, filePath, createdBy) => {
         filePath: `${filePath}/${fileName}`,
     });
     const promises = [];
-    if (fileInfo && fileInfo.titleNo && fileInfo.titleNo !== '') {
+    Object.entries(getLocalizedText(fileInfo, 'title') || {}).forEach(([languageCode, title]) => {
         promises.push(MediaInfo.create({
             mediaId: media.id,
-            languageCode: 'no',
-            title: fileInfo.titleNo,
+            languageCode,
+            title,
         }));
-    }
-    if (fileInfo && fileInfo.titleEn && fileInfo.titleEn !== '') {
-        promises.push(MediaInfo.create({
-            mediaId: media.id,
-            languageCode: 'en',
-            title: fileInfo.titleEn,
-        }));
-    }
+    });
     await Promise.all(promises);
     return { id: media.id, fileName };
 };
@@ -206,6 +201,46 @@ export const createMediaForCollection = async (collectionId, file, fileInfo, cre
     throw new Error();
 };
 
+/**
+ * Copy media (file, thumbnail and media info) to a new media entry
+ *
+ * @param {int} mediaId Media ID
+ * @param {string} filePath Path to the folder for the new file
+ * @param {string} createdBy User ID
+ * @param {Object} transaction Optional transaction
+ * @returns {int} New media ID (undefined if the media does not exist)
+ */
+export const copyMedia = async (mediaId, filePath, createdBy, transaction) => {
+    const media = await Media.findByPk(mediaId, { transaction });
+    if (!media) return undefined;
+    const copy = await Media.create({
+        type: media.type,
+        creators: media.creators,
+        licenseUrl: media.licenseUrl,
+        createdBy,
+    }, { transaction });
+    const update = {};
+    await fs.promises.mkdir(filePath, { recursive: true });
+    if (media.filePath && fs.existsSync(media.filePath)) {
+        update.fileName = `${copy.id}${path.extname(media.filePath)}`;
+        update.filePath = `${filePath}/${update.fileName}`;
+        await fs.promises.copyFile(media.filePath, update.filePath);
+    }
+    if (media.thumbnailPath && fs.existsSync(media.thumbnailPath)) {
+        update.thumbnailName = `${copy.id}${path.basename(media.thumbnailPath).slice(`${media.id}`.length)}`;
+        update.thumbnailPath = `${filePath}/${update.thumbnailName}`;
+        await fs.promises.copyFile(media.thumbnailPath, update.thumbnailPath);
+    }
+    await copy.update(update, { transaction });
+    const mediaInfo = await MediaInfo.findAll({ where: { mediaId }, transaction });
+    await Promise.all(mediaInfo.map((info) => MediaInfo.create({
+        mediaId: copy.id,
+        languageCode: info.languageCode,
+        title: info.title,
+    }, { transaction })));
+    return copy.id;
+};
+
 /**
  * Add media element to revision
  *
@@ -218,12 +253,9 @@ const addToRevisionMedia = (revision, media, fileInfo) => {
     let mediaElements = [];
     let persons = [];
     const creators = [];
-    let title;
+    const title = getLocalizedText(fileInfo, 'title');
     if (revision.media.mediaElements) mediaElements = revision.media.mediaElements;
     if (revision.media.persons) persons = revision.media.persons;
-    if (fileInfo && (fileInfo.titleNo || fileInfo.titleEn)) {
-        title = { no: fileInfo.titleNo || undefined, en: fileInfo.titleEn || undefined };
-    }
     if (fileInfo && fileInfo.creators && fileInfo.creators.length > 0) {
         fileInfo.creators.forEach((name) => {
             const id = name.replace(/\s+/g, '').toLowerCase();
@@ -289,11 +321,9 @@ const addMediaToRevision = async (
                 state.media = arr;
             }
         }
-        await Revision.update({
+        await updateRevision(revisionId, {
             content,
             media: revisionMedia,
-        }, {
-            where: { id: revisionId },
         });
     } else throw new Error();
 };
@@ -455,47 +485,32 @@ export const removeEntityMedia = async (entity, media, body) => {
  *
  * @param {int} mediaId Media ID
  * @param {Array} mediaInfo MediaInfo array
- * @param {string} titleNo Norwegian title
- * @param {string} titleEn English title
+ * @param {Object} body Request body (localized title)
  */
-export const handleSetMediaInfo = async (mediaId, mediaInfo, titleNo, titleEn) => {
+export const handleSetMediaInfo = async (mediaId, mediaInfo, body) => {
     const promises = [];
-    const infoNo = mediaInfo.find((info) => info.languageCode === 'no');
-    const infoEn = mediaInfo.find((info) => info.languageCode === 'en');
-    if (titleNo) {
-        if (infoNo) {
-            promises.push(MediaInfo.update({
-                title: titleNo,
-            }, {
-                where: { id: infoNo.id },
-            }));
-        } else {
-            promises.push(MediaInfo.create({
-                mediaId,
-                title: titleNo,
-                languageCode: 'no',
-            }));
-        }
-    } else if (infoNo) {
-        promises.push(MediaInfo.destroy({ where: { id: infoNo.id } }));
-    }
-    if (titleEn) {
-        if (infoEn) {
-            promises.push(MediaInfo.update({
-                title: titleEn,
-            }, {
-                where: { id: infoEn.id },
-            }));
-        } else {
-            promises.push(MediaInfo.create({
-                mediaId,
-                title: titleEn,
-                languageCode: 'en',
-            }));
+    const titles = getLocalizedText(body, 'title') || {};
+    const existing = mediaInfo.map((info) => info.languageCode);
+    getUpdatedLanguages(body, ['title'], existing).forEach((languageCode) => {
+        const info = mediaInfo.find((element) => element.languageCode === languageCode);
+        if (titles[languageCode]) {
+            if (info) {
+                promises.push(MediaInfo.update({
+                    title: titles[languageCode],
+                }, {
+                    where: { id: info.id },
+                }));
+            } else {
+                promises.push(MediaInfo.create({
+                    mediaId,
+                    title: titles[languageCode],
+                    languageCode,
+                }));
+            }
+        } else if (info) {
+            promises.push(MediaInfo.destroy({ where: { id: info.id } }));
         }
-    } else if (infoEn) {
-        promises.push(MediaInfo.destroy({ where: { id: infoEn.id } }));
-    }
+    });
     await Promise.all(promises);
 };
 
@@ -507,11 +522,8 @@ export const handleSetMediaInfo = async (mediaId, mediaInfo, titleNo, titleEn) =
  * @param {Object} media Revision media info
  */
 export const updateMediaElement = (body, mediaElement, media) => {
-    if (body.titleNo || body.titleEn) {
-        if (!mediaElement.title) mediaElement.title = {};
-        if (body.titleNo) mediaElement.title.no = body.titleNo;
-        if (body.titleEn) mediaElement.title.en = body.titleEn;
-    }
+    const title = getLocalizedText(body, 'title');
+    if (title) mediaElement.title = { ...mediaElement.title, ...title };
     if (body.licenseUrl) mediaElement.license = body.licenseUrl;
     if (body.creators) {
         mediaElement.creators = body.creators.map((creator) => creator.replace(/\s/g, '').toLowerCase());
@@ -583,6 +595,45 @@ export const getEntityMedia = async (tableName, pkName, model, id, language) =>
     return response;
 };
 
+/**
+ * Get media belonging to a list of entities (one query for all entities)
+ *
+ * @param {string} tableName Entity media table
+ * @param {string} pkName Primary key name
+ * @param {Array} ids Entity IDs
+ * @returns {Object} Entity media info by entity ID
+ */
+export const getEntityMediaList = async (tableName, pkName, ids) => {
+    const media = {};
+    ids.forEach((id) => { media[id] = []; });
+    if (ids.length === 0) return media;
+    const entityMedia = `${process.env.POSTGRES_SCHEMA}.${tableName}`;
+    const mediaTable = `${process.env.POSTGRES_SCHEMA}.media`;
+    const mediaInfo = `${process.env.POSTGRES_SCHEMA}.media_info`;
+    const response = await postgres.query(
+        `SELECT ${entityMedia}.${pkName} as entityid, ${entityMedia}.media_id as mediaid, `
+        + `${mediaTable}.file_name as filename, ${mediaTable}.thumbnail_file_name as thumbnailname, `
+        + `${mediaTable}.media_type_name as mediatype, ${mediaTable}.license_url as licenseurl, `
+        + `${mediaTable}.creators, ${mediaInfo}.language_code as languagecode, ${mediaInfo}.title `
+        + `FROM ${entityMedia} `
+        + `INNER JOIN ${mediaTable} `
+        + `ON ${entityMedia}.media_id = ${mediaTable}.media_id `
+        + `LEFT JOIN ${mediaInfo} `
+        + `ON ${entityMedia}.media_id = ${mediaInfo}.media_id `
+        + `WHERE ${entityMedia}.${pkName} IN (?)`,
+        {
+            type: Sequelize.QueryTypes.SELECT,
+            replacements: [ids],
+            raw: true,
+        },
+    );
+    response.forEach((element) => {
+        const { entityid: entityId, ...rest } = element;
+        if (media[entityId]) media[entityId].push(rest);
+    });
+    return media;
+};
+
 /**
  * Get media for key
  *
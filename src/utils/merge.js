@@ -0,0 +1,206 @@
+import { isNumerical } from './content.js';
+import { getRevisionEntities, isEqual } from './diff.js';
+
+const entityTypes = [
+    'taxa', 'characters', 'states', 'premises', 'statements', 'mediaElements', 'persons',
+];
+
+// Fields where conflicting changes are resolved silently (ours is kept)
+const ignoredFields = ['id', 'position'];
+
+/**
+ * Merge one value (ours and theirs changed from base)
+ *
+ * @param {Object} base Value in common ancestor
+ * @param {Object} ours Value in first revision
+ * @param {Object} theirs Value in second revision
+ * @returns {Object} Merged value, and true if the changes conflict
+ */
+const mergeValue = (base, ours, theirs) => {
+    if (isEqual(ours, theirs)) return { value: ours };
+    if (isEqual(ours, base)) return { value: theirs };
+    if (isEqual(theirs, base)) return { value: ours };
+    return { value: ours, conflict: true };
+};
+
+/**
+ * Merge one entity field by field. Entities that are removed in one revision and changed
+ * in the other conflict as a whole, while other conflicts are reported per field.
+ *
+ * @param {string} type Entity type
+ * @param {string} id Entity ID
+ * @param {Object} base Entity in common ancestor
+ * @param {Object} ours Entity in first revision
+ * @param {Object} theirs Entity in second revision
+ * @param {Array} conflicts Conflicts (new conflicts are added)
+ * @returns {Object} Merged entity (undefined if removed)
+ */
+const mergeEntity = (type, id, base, ours, theirs, conflicts) => {
+    const merged = mergeValue(base, ours, theirs);
+    if (!merged.conflict) return merged.value;
+    const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(ours) || !isObject(theirs)) {
+        conflicts.push({
+            type, id, base, ours, theirs,
+        });
+        return ours;
+    }
+    const entity = {};
+    const previous = isObject(base) ? base : {};
+    [...new Set(Object.keys(ours).concat(Object.keys(theirs)))].forEach((field) => {
+        const value = mergeValue(previous[field], ours[field], theirs[field]);
+        if (value.conflict && !ignoredFields.includes(field)) {
+            conflicts.push({
+                type,
+                id,
+                field,
+                base: previous[field],
+                ours: ours[field],
+                theirs: theirs[field],
+            });
+        }
+        if (value.value !== undefined) entity[field] = value.value;
+    });
+    return entity;
+};
+
+/**
+ * Sort entities by position (entities with the same position keep their order)
+ *
+ * @param {Array} arr Entities
+ * @returns {Array} Sorted entities
+ */
+const sortByPosition = (arr) => arr.map((element, index) => ({ element, index }))
+    .sort((a, b) => (a.element.position - b.element.position) || (a.index - b.index))
+    .map(({ element }) => element);
+
+/**
+ * Build taxon tree from merged taxa. Taxa whose parent was removed, or that are not
+ * reachable from the root because of conflicting moves, are placed at the root.
+ *
+ * @param {Object} taxa Merged taxa by ID
+ * @param {Array} conflicts Conflicts (new conflicts are added)
+ * @returns {Array} Taxon tree
+ */
+const buildTaxa = (taxa, conflicts) => {
+    const nodes = {};
+    Object.values(taxa).forEach((taxon) => {
+        const { parentId, position, ...rest } = taxon;
+        nodes[taxon.id] = { ...rest, children: [] };
+    });
+    const placed = new Set();
+    const getChildren = (parentId) => sortByPosition(Object.values(taxa)
+        .filter((taxon) => taxon.parentId === parentId && !placed.has(taxon.id)));
+    const build = (parentId) => getChildren(parentId).map((taxon) => {
+        placed.add(taxon.id);
+        const node = nodes[taxon.id];
+        node.children = build(taxon.id);
+        return node;
+    });
+    const tree = build(null);
+    Object.values(taxa).forEach((taxon) => {
+        if (placed.has(taxon.id)) return;
+        conflicts.push({
+            type: 'taxa',
+            id: taxon.id,
+            field: 'parentId',
+            parentId: taxon.parentId,
+            reason: 'Parent taxon is missing, or the taxon is moved below itself',
+        });
+        placed.add(taxon.id);
+        const node = nodes[taxon.id];
+        node.children = build(taxon.id);
+        tree.push(node);
+    });
+    const removeEmpty = (arr) => arr.forEach((node) => {
+        if (node.children.length === 0) {
+            delete node.children;
+        } else removeEmpty(node.children);
+    });
+    removeEmpty(tree);
+    return tree;
+};
+
+/**
+ * Build revision content and media from merged entities. Other fields are kept from the
+ * first revision. States without character and statements that refer to removed taxa,
+ * characters or states are dropped (numerical statements refer to the numerical state of
+ * the character).
+ *
+ * @param {Object} entities Merged entities by type
+ * @param {Object} ours First revision
+ * @param {Array} conflicts Conflicts (new conflicts are added)
+ * @returns {Object} Content and media
+ */
+const buildRevision = (entities, ours, conflicts) => {
+    const characters = sortByPosition(Object.values(entities.characters)).map((character) => {
+        const { position, ...rest } = character;
+        const states = sortByPosition(Object.values(entities.states)
+            .filter((state) => state.characterId === character.id))
+            .map(({ characterId, position: index, ...state }) => state);
+        if (states.length > 0) rest.states = states;
+        if (entities.premises[character.id] !== undefined) {
+            rest.logicalPremise = entities.premises[character.id];
+        }
+        return rest;
+    });
+    const statements = Object.values(entities.statements).filter((statement) => {
+        const character = entities.characters[statement.characterId];
+        if (!entities.taxa[statement.taxonId] || !character) return false;
+        if (statement.state === undefined) return true;
+        if (isNumerical(character)) {
+            return character.states !== undefined && character.states !== null
+                && statement.state === character.states.id;
+        }
+        return entities.states[statement.state] !== undefined;
+    });
+    return {
+        content: {
+            ...JSON.parse(JSON.stringify((ours && ours.content) || {})),
+            taxa: buildTaxa(entities.taxa, conflicts),
+            characters,
+            statements,
+        },
+        media: {
+            ...JSON.parse(JSON.stringify((ours && ours.media) || {})),
+            mediaElements: Object.values(entities.mediaElements),
+            persons: Object.values(entities.persons),
+        },
+    };
+};
+
+/**
+ * Three-way merge of two revisions with a common ancestor. Changes that do not conflict
+ * are merged automatically. For conflicting changes the value from the first revision is
+ * used, and the conflict is returned with the values from all three revisions.
+ *
+ * @param {Object} base Common ancestor revision
+ * @param {Object} ours First revision
+ * @param {Object} theirs Second revision
+ * @returns {Object} Merged content, media and conflicts
+ */
+const mergeRevisions = (base, ours, theirs) => {
+    const a = getRevisionEntities(base);
+    const b = getRevisionEntities(ours);
+    const c = getRevisionEntities(theirs);
+    const conflicts = [];
+    const merged = {};
+    entityTypes.forEach((type) => {
+        merged[type] = {};
+        [...new Set(Object.keys(a[type]).concat(Object.keys(b[type]), Object.keys(c[type])))]
+            .forEach((id) => {
+                const entity = mergeEntity(
+                    type,
+                    id,
+                    a[type][id],
+                    b[type][id],
+                    c[type][id],
+                    conflicts,
+                );
+                if (entity !== undefined) merged[type][id] = entity;
+            });
+    });
+    return { ...buildRevision(merged, ours, conflicts), conflicts };
+};
+
+export default mergeRevisions;
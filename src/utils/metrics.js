@@ -0,0 +1,153 @@
+import {
+    getNumericalIntervals,
+    getOverlappingIntervals,
+    getStatementRange,
+    getTaxonDescriptions,
+    getText,
+    isApplicable,
+    isNumerical,
+} from './content.js';
+
+/**
+ * Get states (or numerical intervals) for a character
+ *
+ * @param {Object} character Character
+ * @returns {Array} States with ID and interval (numerical characters)
+ */
+const getCharacterStates = (character) => {
+    if (isNumerical(character)) {
+        return getNumericalIntervals(character.states || {})
+            .map((interval, index) => ({ id: `${index}`, interval }));
+    }
+    return (character.states || []).map((state) => ({ id: state.id, title: state.title }));
+};
+
+/**
+ * Get indexes of the character states that a taxon is coded with
+ *
+ * @param {Object} character Character
+ * @param {Array} states Character states (from getCharacterStates)
+ * @param {Array} statements Taxon statements for the character
+ * @returns {Array} State indexes
+ */
+const getTaxonStates = (character, states, statements) => {
+    let indexes = [];
+    if (isNumerical(character)) {
+        const intervals = states.map((state) => state.interval);
+        statements.forEach((statement) => {
+            const range = getStatementRange(statement);
+            if (range) indexes = indexes.concat(getOverlappingIntervals(intervals, range));
+        });
+    } else {
+        statements.forEach((statement) => {
+            const index = states.findIndex((state) => state.id === statement.state);
+            if (index > -1) indexes.push(index);
+        });
+    }
+    return [...new Set(indexes)];
+};
+
+/**
+ * Split taxa by the states of a character. Taxa coded with several states are counted
+ * for each state. Taxa without statements are unknown, and taxa where the character is
+ * not applicable (logical premise) are inapplicable.
+ *
+ * @param {Object} character Character
+ * @param {Array} descriptions Taxon descriptions (taxon and statements)
+ * @returns {Object} States with taxon IDs, unknown taxon IDs and inapplicable taxon IDs
+ */
+export const getCharacterSplit = (character, descriptions) => {
+    const states = getCharacterStates(character).map((state) => ({ ...state, taxa: [] }));
+    const unknown = [];
+    const inapplicable = [];
+    const weights = states.map(() => 0);
+    descriptions.forEach(({ taxon, statements }) => {
+        if (!isApplicable(character, statements)) {
+            inapplicable.push(taxon.id);
+        } else {
+            const indexes = getTaxonStates(
+                character,
+                states,
+                statements.filter((statement) => statement.characterId === character.id),
+            );
+            if (indexes.length === 0) unknown.push(taxon.id);
+            indexes.forEach((index) => {
+                states[index].taxa.push(taxon.id);
+                weights[index] += 1 / indexes.length;
+            });
+        }
+    });
+    return {
+        states,
+        unknown,
+        inapplicable,
+        weights,
+    };
+};
+
+/**
+ * Get Shannon entropy (bits) of the distribution of taxa over the character states
+ *
+ * @param {Array} weights Number of taxa for each state (taxa with several states are split)
+ * @returns {number} Entropy
+ */
+const getEntropy = (weights) => {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total === 0) return 0;
+    return weights.filter((weight) => weight > 0).reduce((sum, weight) => {
+        const p = weight / total;
+        return sum - p * Math.log2(p);
+    }, 0);
+};
+
+/**
+ * Get expected information gain (bits) from answering a character, assuming that all
+ * taxa are equally likely. Unknown taxa remain for any answer, while inapplicable taxa
+ * are removed.
+ *
+ * @param {Object} split Character split (from getCharacterSplit)
+ * @param {int} total Number of taxa
+ * @returns {number} Information gain
+ */
+export const getInformationGain = (split, total) => {
+    const remaining = split.states.map((state) => state.taxa.length + split.unknown.length)
+        .filter((count) => count > 0);
+    const sum = remaining.reduce((a, b) => a + b, 0);
+    if (total === 0 || sum === 0) return 0;
+    const expected = remaining.reduce((a, count) => a + (count / sum) * Math.log2(count), 0);
+    return Math.log2(total) - expected;
+};
+
+/**
+ * Get discriminating power metrics for each character in revision (number of taxa for
+ * each state, unknown and inapplicable taxa, entropy, evenness and information gain)
+ *
+ * @param {Object} content Revision content
+ * @param {string} language Language code for titles
+ * @returns {Object} Number of terminal taxa and character metrics
+ */
+export const getCharacterMetrics = (content, language) => {
+    const descriptions = getTaxonDescriptions(content);
+    const characters = (content.characters || []).map((character) => {
+        const split = getCharacterSplit(character, descriptions);
+        const entropy = getEntropy(split.weights);
+        return {
+            characterId: character.id,
+            title: getText(character.title, language),
+            type: isNumerical(character) ? 'numerical' : 'multistate',
+            states: split.states.map((state) => ({
+                stateId: state.id,
+                label: state.interval
+                    ? `${state.interval[0]}-${state.interval[1]}` : getText(state.title, language),
+                taxa: state.taxa.length,
+            })),
+            coded: descriptions.length - split.unknown.length - split.inapplicable.length,
+            unknown: split.unknown.length,
+            inapplicable: split.inapplicable.length,
+            entropy,
+            evenness: split.states.length > 1 ? entropy / Math.log2(split.states.length) : 0,
+            informationGain: getInformationGain(split, descriptions.length),
+        };
+    });
+    return { taxa: descriptions.length, characters };
+};
@@ -0,0 +1,148 @@
+import {
+    getNumericalIntervals,
+    getOverlappingIntervals,
+    getStatementRange,
+    getTaxonDescriptions,
+    getText,
+    isApplicable,
+    isNumerical,
+} from './content.js';
+
+const symbols = '0123456789ABCDEFGHIJKLMNOPQRSTUV';
+
+/**
+ * Quote NEXUS token
+ *
+ * @param {string} text Text
+ * @returns {string} Quoted text
+ */
+const quote = (text) => `'${`${text || ''}`.replace(/\s+/g, ' ').trim().replace(/'/g, "''")}'`;
+
+/**
+ * Format number for state labels
+ *
+ * @param {number} value Number
+ * @returns {string} Formatted number
+ */
+const formatNumber = (value) => `${parseFloat(value.toFixed(6))}`;
+
+/**
+ * Get NEXUS column for character (state labels and mapping from statements to symbols)
+ *
+ * @param {Object} character Character object
+ * @param {string} numerical How to handle numerical characters (exclude or discretize)
+ * @param {string} language Language code
+ * @returns {Object} Column with title, state labels and symbol lookup
+ */
+const getColumn = (character, numerical, language) => {
+    const column = { character, title: getText(character.title, language), labels: [] };
+    if (isNumerical(character)) {
+        const states = character.states || {};
+        const unit = getText(states.unit, language);
+        if (unit) column.title = `${column.title} (${unit})`;
+        column.ordered = true;
+        if (numerical === 'discretize') {
+            const intervals = getNumericalIntervals(states);
+            column.labels = intervals.map(
+                (interval) => `${formatNumber(interval[0])}-${formatNumber(interval[1])}`,
+            );
+            column.getSymbols = (statements) => {
+                let indexes = [];
+                statements.forEach((statement) => {
+                    const range = getStatementRange(statement);
+                    if (range) indexes = indexes.concat(getOverlappingIntervals(intervals, range));
+                });
+                return indexes;
+            };
+        }
+    } else {
+        const states = character.states || [];
+        column.labels = states.map((state) => getText(state.title, language));
+        column.getSymbols = (statements) => statements
+            .map((statement) => states.findIndex((state) => state.id === statement.state))
+            .filter((index) => index > -1);
+    }
+    column.excluded = !column.getSymbols || column.labels.length === 0
+        || column.labels.length > symbols.length;
+    return column;
+};
+
+/**
+ * Get matrix cell for taxon and character
+ *
+ * @param {Object} column NEXUS column
+ * @param {Array} statements Taxon statements
+ * @returns {string} Cell (symbol, polymorphism, missing or gap)
+ */
+const getCell = (column, statements) => {
+    if (!isApplicable(column.character, statements)) return '-';
+    if (column.excluded) return '?';
+    const indexes = [...new Set(column.getSymbols(statements.filter(
+        (statement) => statement.characterId === column.character.id,
+    )))].sort((a, b) => a - b);
+    if (indexes.length === 0) return '?';
+    if (indexes.length === 1) return symbols[indexes[0]];
+    return `(${indexes.map((index) => symbols[index]).join('')})`;
+};
+
+/**
+ * Create NEXUS document (TAXA, CHARACTERS and ASSUMPTIONS blocks) from key revision.
+ * Numerical characters are either excluded or discretized by step size.
+ *
+ * @param {Object} revision Revision
+ * @param {string} title Key title
+ * @param {Object} options Numerical handling (exclude or discretize) and language code
+ * @returns {string} NEXUS document
+ */
+const createNexusDocument = (revision, title, options) => {
+    const { numerical, language } = options;
+    const content = revision.content || {};
+    const descriptions = getTaxonDescriptions(content);
+    const columns = (content.characters || [])
+        .map((character) => getColumn(character, numerical, language));
+    const names = descriptions.map((element) => quote(element.taxon.scientificName));
+    const width = Math.max(...names.map((name) => name.length), 0) + 2;
+    const maxStates = Math.max(...columns.map((column) => column.labels.length), 1);
+    const format = symbols.slice(0, Math.min(maxStates, symbols.length)).split('').join(' ');
+    const lines = ['#NEXUS', ''];
+    if (title) lines.push(`[${title.replace(/[[\]]/g, '')}]`, '');
+    lines.push(
+        'BEGIN TAXA;',
+        `    DIMENSIONS NTAX=${descriptions.length};`,
+        '    TAXLABELS',
+        ...names.map((name) => `        ${name}`),
+        '    ;',
+        'END;',
+        '',
+        'BEGIN CHARACTERS;',
+        `    DIMENSIONS NCHAR=${columns.length};`,
+        `    FORMAT DATATYPE=STANDARD MISSING=? GAP=- SYMBOLS="${format}";`,
+        '    CHARSTATELABELS',
+        ...columns.map((column, index) => {
+            let label = `${index + 1} ${quote(column.title)}`;
+            if (!column.excluded) label += ` / ${column.labels.map(quote).join(' ')}`;
+            return `        ${label}${index < columns.length - 1 ? ',' : ''}`;
+        }),
+        '    ;',
+        '    MATRIX',
+        ...descriptions.map((element, index) => `        ${names[index].padEnd(width)}${columns
+            .map((column) => getCell(column, element.statements)).join('')}`),
+        '    ;',
+        'END;',
+    );
+    const excluded = [];
+    const ordered = [];
+    columns.forEach((column, index) => {
+        if (column.excluded) excluded.push(index + 1);
+        else if (column.ordered) ordered.push(index + 1);
+    });
+    if (excluded.length > 0 || ordered.length > 0) {
+        lines.push('', 'BEGIN ASSUMPTIONS;');
+        if (ordered.length > 0) lines.push(`    TYPESET * default = ord: ${ordered.join(' ')};`);
+        if (excluded.length > 0) lines.push(`    EXSET * excluded = ${excluded.join(' ')};`);
+        lines.push('END;');
+    }
+    return `${lines.join('\n')}\n`;
+};
+
+export default createNexusDocument;
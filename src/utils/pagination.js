@@ -0,0 +1,55 @@
+import { query } from 'express-validator';
+
+/**
+ * Input validation for pagination and sorting query parameters
+ */
+export const paginationQuery = [
+    query('limit').isInt({ min: 1, max: 500 }).optional(),
+    query('offset').isInt({ min: 0 }).optional(),
+    query('sort').isIn(['created', 'updated', 'title', 'status']).optional(),
+    query('order').isIn(['asc', 'desc']).optional(),
+];
+
+/**
+ * Get limit and offset from query (no limit if not set)
+ *
+ * @param {Object} requestQuery Request query
+ * @returns {Object} Limit and offset
+ */
+export const getPagination = (requestQuery) => ({
+    limit: requestQuery.limit ? parseInt(requestQuery.limit, 10) : undefined,
+    offset: requestQuery.offset ? parseInt(requestQuery.offset, 10) : 0,
+});
+
+/**
+ * Get URL for the same request with another offset
+ *
+ * @param {Object} req Http request
+ * @param {int} offset Offset
+ * @returns {string} URL
+ */
+const getPageUrl = (req, offset) => {
+    const params = new URLSearchParams({ ...req.query, offset: `${offset}` });
+    return `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?${params.toString()}`;
+};
+
+/**
+ * Set total count header and links to the next and previous pages
+ *
+ * @param {Object} req Http request
+ * @param {Object} res Http response
+ * @param {int} total Total number of entries
+ * @param {Object} pagination Limit and offset
+ */
+export const setPaginationHeaders = (req, res, total, pagination) => {
+    const { limit, offset } = pagination;
+    const links = [];
+    res.set('X-Total-Count', `${total}`);
+    if (limit) {
+        if (offset + limit < total) links.push(`<${getPageUrl(req, offset + limit)}>; rel="next"`);
+        if (offset > 0) {
+            links.push(`<${getPageUrl(req, Math.max(offset - limit, 0))}>; rel="prev"`);
+        }
+    }
+    if (links.length > 0) res.set('Link', links.join(', '));
+};
@@ -0,0 +1,271 @@
+import {
+    flattenTaxa,
+    getPremiseStates,
+    getStatementRange,
+    getTaxonDescriptions,
+    isApplicable,
+    isNumerical,
+} from './content.js';
+
+/**
+ * Create warning object
+ *
+ * @param {string} type Warning type
+ * @param {Object} entity Entity the warning is about (for example { taxonId })
+ * @param {string} message Description of the problem
+ * @returns {Object} Warning
+ */
+const createWarning = (type, entity, message) => ({ type, ...entity, message });
+
+/**
+ * Get languages that are missing from localized text
+ *
+ * @param {Object} text Text object (language code as key)
+ * @param {Array} languages Key languages
+ * @returns {Array} Missing language codes
+ */
+const getMissingLanguages = (text, languages) => {
+    if (!text || typeof text !== 'object') return languages;
+    return languages.filter((language) => !text[language] || text[language] === '');
+};
+
+/**
+ * Check for missing translations of localized fields
+ *
+ * @param {Object} element Taxon, character, state or media element
+ * @param {Array} fields Localized field names
+ * @param {Array} languages Key languages
+ * @param {Object} entity Entity the warning is about
+ * @returns {Array} Warnings
+ */
+const checkTranslations = (element, fields, languages, entity) => {
+    const warnings = [];
+    fields.forEach((field) => {
+        if (element[field] && typeof element[field] === 'object') {
+            const missing = getMissingLanguages(element[field], languages);
+            if (missing.length > 0) {
+                warnings.push(createWarning('MISSING_TRANSLATION', { ...entity, field, languages: missing }, `Missing ${field} translation`));
+            }
+        }
+    });
+    return warnings;
+};
+
+/**
+ * Check taxa (taxa without statements and missing translations)
+ *
+ * @param {Array} taxa Flattened taxa
+ * @param {Array} statements Statements
+ * @param {Array} languages Key languages
+ * @returns {Array} Warnings
+ */
+const checkTaxa = (taxa, statements, languages) => {
+    let warnings = [];
+    taxa.forEach(({ taxon }) => {
+        const terminal = !taxon.children || taxon.children.length === 0;
+        if (terminal && !statements.some((statement) => statement.taxonId === taxon.id)) {
+            warnings.push(createWarning('TAXON_WITHOUT_STATEMENTS', { taxonId: taxon.id }, 'Taxon has no statements'));
+        }
+        warnings = warnings.concat(checkTranslations(taxon, ['vernacularName', 'description'], languages, { taxonId: taxon.id }));
+    });
+    return warnings;
+};
+
+/**
+ * Check characters (unused characters and states, broken premises, numerical values
+ * outside the character range and missing translations)
+ *
+ * @param {Array} characters Characters
+ * @param {Array} statements Statements
+ * @param {Array} languages Key languages
+ * @returns {Array} Warnings
+ */
+const checkCharacters = (characters, statements, languages) => {
+    let warnings = [];
+    const stateIds = [];
+    characters.forEach((character) => {
+        if (Array.isArray(character.states)) {
+            character.states.forEach((state) => stateIds.push(state.id));
+        }
+    });
+    characters.forEach((character) => {
+        const entity = { characterId: character.id };
+        const characterStatements = statements.filter(
+            (statement) => statement.characterId === character.id,
+        );
+        if (characterStatements.length === 0) {
+            warnings.push(createWarning('UNUSED_CHARACTER', entity, 'Character is not used by any taxon'));
+        }
+        getPremiseStates(character.logicalPremise).forEach((stateId) => {
+            if (!stateIds.includes(stateId)) {
+                warnings.push(createWarning('INVALID_PREMISE', { ...entity, stateId }, 'Logical premise refers to a state that does not exist'));
+            }
+        });
+        warnings = warnings.concat(checkTranslations(character, ['title', 'description'], languages, entity));
+        if (isNumerical(character)) {
+            const min = parseFloat(character.states && character.states.min);
+            const max = parseFloat(character.states && character.states.max);
+            characterStatements.forEach((statement) => {
+                const range = getStatementRange(statement);
+                if (range && ((!Number.isNaN(min) && range[0] < min)
+                    || (!Number.isNaN(max) && range[1] > max))) {
+                    warnings.push(createWarning('VALUE_OUT_OF_RANGE', { ...entity, taxonId: statement.taxonId, value: statement.value }, 'Numerical value is outside the character range'));
+                }
+            });
+            warnings = warnings.concat(checkTranslations(character.states || {}, ['unit'], languages, entity));
+        } else if (Array.isArray(character.states)) {
+            character.states.forEach((state) => {
+                const stateEntity = { ...entity, stateId: state.id };
+                if (!characterStatements.some((statement) => statement.state === state.id)) {
+                    warnings.push(createWarning('UNUSED_STATE', stateEntity, 'State is not used by any taxon'));
+                }
+                warnings = warnings.concat(checkTranslations(state, ['title', 'description'], languages, stateEntity));
+            });
+        }
+    });
+    return warnings;
+};
+
+/**
+ * Check statements that refer to taxa, characters or states that do not exist
+ *
+ * @param {Array} statements Statements
+ * @param {Array} taxa Flattened taxa
+ * @param {Array} characters Characters
+ * @returns {Array} Warnings
+ */
+const checkStatements = (statements, taxa, characters) => {
+    const warnings = [];
+    statements.forEach((statement) => {
+        const entity = { statementId: statement.id };
+        const character = characters.find((element) => element.id === statement.characterId);
+        if (!taxa.some((element) => element.taxon.id === statement.taxonId)) {
+            warnings.push(createWarning('INVALID_STATEMENT', { ...entity, taxonId: statement.taxonId }, 'Statement refers to a taxon that does not exist'));
+        } else if (!character) {
+            warnings.push(createWarning('INVALID_STATEMENT', { ...entity, characterId: statement.characterId }, 'Statement refers to a character that does not exist'));
+        } else if (!isNumerical(character) && Array.isArray(character.states)
+            && !character.states.some((state) => state.id === statement.state)) {
+            warnings.push(createWarning('INVALID_STATEMENT', { ...entity, stateId: statement.state }, 'Statement refers to a state that does not exist'));
+        }
+    });
+    return warnings;
+};
+
+/**
+ * Check media elements (missing license, creators and translations)
+ *
+ * @param {Array} mediaElements Media elements
+ * @param {Array} languages Key languages
+ * @returns {Array} Warnings
+ */
+const checkMedia = (mediaElements, languages) => {
+    let warnings = [];
+    mediaElements.forEach((element) => {
+        const entity = { mediaId: element.id };
+        if (!element.license) {
+            warnings.push(createWarning('MEDIA_WITHOUT_LICENSE', entity, 'Media has no license'));
+        }
+        if (!element.creators || element.creators.length === 0) {
+            warnings.push(createWarning('MEDIA_WITHOUT_CREATORS', entity, 'Media has no creators'));
+        }
+        warnings = warnings.concat(checkTranslations(element, ['title'], languages, entity));
+    });
+    return warnings;
+};
+
+/**
+ * Check if two taxa can be separated by a character (both taxa have statements for an
+ * applicable character, and the states or numerical ranges do not overlap)
+ *
+ * @param {Object} character Character
+ * @param {Object} first Taxon description (taxon and statements)
+ * @param {Object} second Taxon description (taxon and statements)
+ * @returns {boolean} True if the character separates the taxa
+ */
+const isSeparatedBy = (character, first, second) => {
+    if (!isApplicable(character, first.statements)
+        || !isApplicable(character, second.statements)) return false;
+    const a = first.statements.filter((statement) => statement.characterId === character.id);
+    const b = second.statements.filter((statement) => statement.characterId === character.id);
+    if (a.length === 0 || b.length === 0) return false;
+    if (isNumerical(character)) {
+        const rangesA = a.map((statement) => getStatementRange(statement)).filter((r) => r);
+        const rangesB = b.map((statement) => getStatementRange(statement)).filter((r) => r);
+        if (rangesA.length === 0 || rangesB.length === 0) return false;
+        return !rangesA.some((range) => rangesB.some(
+            (element) => range[0] <= element[1] && element[0] <= range[1],
+        ));
+    }
+    return !a.some((statement) => b.some((element) => element.state === statement.state));
+};
+
+/**
+ * Check if two taxa have the same statements for all characters
+ *
+ * @param {Object} first Taxon description (taxon and statements)
+ * @param {Object} second Taxon description (taxon and statements)
+ * @returns {boolean} True if the descriptions are identical
+ */
+const isIdentical = (first, second) => {
+    const getValues = (description) => description.statements.map(
+        (statement) => JSON.stringify([statement.characterId, statement.state, statement.value]),
+    ).sort();
+    return JSON.stringify(getValues(first)) === JSON.stringify(getValues(second));
+};
+
+/**
+ * Find terminal taxa that cannot be separated by any combination of answers. Taxa are
+ * separated by a character only if both taxa are coded for it, the character is
+ * applicable for both (logical premise) and the states or numerical ranges do not overlap.
+ *
+ * @param {Object} content Revision content
+ * @returns {Object} Pairs of taxa that cannot be separated, and groups of connected pairs
+ */
+export const getIndistinguishableTaxa = (content) => {
+    const characters = content.characters || [];
+    const descriptions = getTaxonDescriptions(content);
+    const pairs = [];
+    descriptions.forEach((first, i) => {
+        descriptions.slice(i + 1).forEach((second) => {
+            if (!characters.some((character) => isSeparatedBy(character, first, second))) {
+                pairs.push({
+                    taxa: [first.taxon.id, second.taxon.id],
+                    identical: isIdentical(first, second),
+                });
+            }
+        });
+    });
+    const groups = [];
+    pairs.forEach((pair) => {
+        const connected = groups.filter((group) => pair.taxa.some((id) => group.includes(id)));
+        const merged = [...new Set(pair.taxa.concat(...connected))];
+        connected.forEach((group) => groups.splice(groups.indexOf(group), 1));
+        groups.push(merged);
+    });
+    return { pairs, groups };
+};
+
+/**
+ * Validate revision content and media
+ *
+ * @param {Object} revision Revision
+ * @param {Array} languages Key languages
+ * @returns {Object} Number of warnings by type, and list of warnings
+ */
+export const validateRevision = (revision, languages) => {
+    const content = revision.content || {};
+    const statements = content.statements || [];
+    const characters = content.characters || [];
+    const taxa = flattenTaxa(content.taxa);
+    const mediaElements = (revision.media && revision.media.mediaElements) || [];
+    const warnings = checkTaxa(taxa, statements, languages)
+        .concat(checkCharacters(characters, statements, languages))
+        .concat(checkStatements(statements, taxa, characters))
+        .concat(checkMedia(mediaElements, languages))
+        .concat(getIndistinguishableTaxa(content).pairs.map((pair) => createWarning('INDISTINGUISHABLE_TAXA', { taxa: pair.taxa }, 'Taxa cannot be separated by the key')));
+    const counts = {};
+    warnings.forEach((warning) => {
+        counts[warning.type] = (counts[warning.type] || 0) + 1;
+    });
+    return { revisionId: revision.id, counts, warnings };
+};
@@ -1,9 +1,210 @@
+import { deepClone } from 'fast-json-patch';
+import Sequelize from 'sequelize';
+import postgres from '../config/postgres.js';
 import Key from '../lib/database/models/Key.js';
 import Revision from '../lib/database/models/Revision.js';
 import Revisions from '../lib/database/models/Revisions.js';
+import RevisionDeltas from '../models/RevisionDeltas.js';
+import { applyRevisionPatch, createDocument, encodeRevision } from './snapshot.js';
+
+// Rebuilt revision documents by revision ID, with the version (updated time of the revision
+// and the revisions it is rebuilt from) they were rebuilt for
+const documentCache = new Map();
+const documentCacheSize = 20;
+
+/**
+ * Add revision document to cache (the oldest document is removed when the cache is full)
+ *
+ * @param {string} revisionId Revision ID
+ * @param {Object} entry Revision document and version
+ */
+const cacheDocument = (revisionId, entry) => {
+    documentCache.delete(revisionId);
+    documentCache.set(revisionId, entry);
+    if (documentCache.size > documentCacheSize) {
+        documentCache.delete(documentCache.keys().next().value);
+    }
+};
 
 /**
- * Create revision and link to key
+ * Get time as string for cache versions
+ *
+ * @param {Object} row Model instance with updated time
+ * @returns {string} Time in milliseconds (empty if there is no updated time)
+ */
+const getTime = (row) => (row && row.updatedAt ? `${new Date(row.updatedAt).getTime()}` : '');
+
+/**
+ * Get revision document and version. Delta revisions are rebuilt by applying the JSON
+ * patches from the last full snapshot. Cached documents are only used if neither the
+ * revision nor the revisions it is rebuilt from have been updated since.
+ *
+ * @param {string} revisionId Revision ID
+ * @returns {Object} Revision document and version (no version if the model has no updated time)
+ */
+const loadRevisionDocument = async (revisionId) => {
+    const isCacheable = Revision.rawAttributes.updatedAt !== undefined;
+    const row = await Revision.findByPk(revisionId, {
+        attributes: ['id'].concat(isCacheable ? ['updatedAt'] : []),
+        hooks: false,
+    });
+    if (!row) throw new Error(`Revision ${revisionId} is missing from delta chain`);
+    const delta = await RevisionDeltas.findByPk(revisionId);
+    const parent = delta ? await loadRevisionDocument(delta.parentId) : undefined;
+    let version;
+    if (isCacheable) {
+        version = `${getTime(row)}:${getTime(delta)}${parent ? `/${parent.version}` : ''}`;
+        const cached = documentCache.get(revisionId);
+        if (cached && cached.version === version) return cached;
+    }
+    let document;
+    if (parent) {
+        document = applyRevisionPatch(parent.document, delta.patch);
+    } else {
+        const snapshot = await Revision.findByPk(revisionId, {
+            attributes: ['id', 'content', 'media'],
+            hooks: false,
+        });
+        document = createDocument(snapshot.content, snapshot.media);
+    }
+    const entry = { version, document };
+    if (isCacheable) cacheDocument(revisionId, entry);
+    return entry;
+};
+
+/**
+ * Get revision document (content and media). The returned document must not be modified.
+ *
+ * @param {string} revisionId Revision ID
+ * @returns {Object} Revision document
+ */
+export const getRevisionDocument = async (revisionId) => {
+    const { document } = await loadRevisionDocument(revisionId);
+    return document;
+};
+
+/**
+ * Store encoded revision (content and media for snapshots, or a delta row with the JSON
+ * patch, parent ID and depth)
+ *
+ * @param {string} revisionId Revision ID
+ * @param {Object} values Encoded revision (from encodeRevision)
+ * @param {Object} transaction Transaction
+ */
+export const storeRevision = async (revisionId, values, transaction) => {
+    await Revision.update({
+        content: values.patch ? {} : values.content,
+        media: values.patch ? {} : values.media,
+    }, { where: { id: revisionId }, hooks: false, transaction });
+    if (values.patch) {
+        await RevisionDeltas.upsert({
+            revisionId,
+            parentId: values.parentId,
+            depth: values.depth,
+            patch: values.patch,
+        }, { transaction });
+    } else await RevisionDeltas.destroy({ where: { revisionId }, transaction });
+};
+
+/**
+ * Set rebuilt content and media on a delta revision read from the database
+ *
+ * @param {Object} revision Revision model instance
+ */
+const rebuildRevision = async (revision) => {
+    if (!revision || (revision.content === undefined && revision.media === undefined)) return;
+    if (!await RevisionDeltas.findByPk(revision.id)) return;
+    const { content, media } = deepClone(await getRevisionDocument(revision.id));
+    revision.content = content;
+    revision.media = media;
+    revision.changed('content', false);
+    revision.changed('media', false);
+};
+
+/**
+ * Add hook that rebuilds the content and media of delta revisions when a single revision is
+ * read (findOne and findByPk). Revisions read with findAll are not rebuilt, so lists should
+ * not select content or media.
+ */
+export const addRevisionHooks = () => {
+    Revision.addHook('afterFind', 'rebuildRevisionContent', async (result, options) => {
+        if (options.plain && result && !Array.isArray(result)) await rebuildRevision(result);
+    });
+};
+
+/**
+ * Get latest revision for key (parent for new delta revisions)
+ *
+ * @param {string} keyId Key ID
+ * @returns {Object} Revision ID, depth and document (undefined if the key has no revisions)
+ */
+const getLatestRevision = async (keyId) => {
+    const keyRevisions = await Revisions.findAll({ where: { keyId } });
+    if (keyRevisions.length === 0) return undefined;
+    const revision = await Revision.findOne({
+        attributes: ['id'],
+        where: {
+            id: { [Sequelize.Op.in]: keyRevisions.map((element) => element.revisionId) },
+        },
+        order: [['created_at', 'DESC']],
+        hooks: false,
+    });
+    if (!revision) return undefined;
+    const delta = await RevisionDeltas.findByPk(revision.id);
+    return {
+        id: revision.id,
+        depth: delta ? delta.depth : 0,
+        document: await getRevisionDocument(revision.id),
+    };
+};
+
+/**
+ * Store revision as a full snapshot (used for accepted revisions, which are read directly
+ * by database queries)
+ *
+ * @param {string} revisionId Revision ID
+ */
+export const materializeRevision = async (revisionId) => {
+    const delta = await RevisionDeltas.findByPk(revisionId);
+    if (delta) {
+        const document = await getRevisionDocument(revisionId);
+        await postgres.transaction(async (transaction) => {
+            await storeRevision(revisionId, encodeRevision(document), transaction);
+        });
+    }
+};
+
+/**
+ * Update content and/or media of an existing revision. Revisions stored as deltas against
+ * this revision are converted to full snapshots first, so that they are not changed.
+ *
+ * @param {string} revisionId Revision ID
+ * @param {Object} values New content and/or media
+ */
+export const updateRevision = async (revisionId, values) => {
+    const previous = await getRevisionDocument(revisionId);
+    const document = createDocument(
+        values.content || previous.content,
+        values.media || previous.media,
+    );
+    const children = await RevisionDeltas.findAll({ where: { parentId: revisionId } });
+    await Promise.all(children.map((child) => materializeRevision(child.revisionId)));
+    const delta = await RevisionDeltas.findByPk(revisionId);
+    const parent = delta ? {
+        id: delta.parentId,
+        depth: delta.depth - 1,
+        document: await getRevisionDocument(delta.parentId),
+    } : undefined;
+    await postgres.transaction(async (transaction) => {
+        await storeRevision(revisionId, encodeRevision(document, parent), transaction);
+    });
+    documentCache.delete(revisionId);
+};
+
+/**
+ * Create revision and link to key. The revision is stored as a JSON patch against the latest
+ * revision of the key, or as a full snapshot (first and accepted revisions, and at the end
+ * of a delta chain).
  *
  * @param {Object} key Key object
  * @param {Object} content Content object
@@ -11,24 +212,41 @@ import Revisions from '../lib/database/models/Revisions.js';
  * @param {string} createdBy Created by string
  * @param {string} note Optional revision note
  * @param {int} mode Key mode (set default if undefined)
+ * @param {Object} transaction Optional transaction (a new one is used if undefined)
  * @returns {string} Revision ID
  */
-export const createRevision = async (key, content, media, createdBy, note, mode) => {
-    const revision = await Revision.create({
-        content,
-        media,
-        note,
-        createdBy,
-        status: 'DRAFT',
-        mode: mode || parseInt(process.env.DEFAULT_KEY_MODE, 10),
-    });
+export const createRevision = async (key, content, media, createdBy, note, mode, transaction) => {
+    const document = deepClone(createDocument(content, media));
+    const parent = key.revisionId ? await getLatestRevision(key.id) : undefined;
+    const values = encodeRevision(document, parent);
+    const writeRevision = async (t) => {
+        const row = await Revision.create({
+            content: values.patch ? {} : values.content,
+            media: values.patch ? {} : values.media,
+            note,
+            createdBy,
+            status: 'DRAFT',
+            mode: mode || parseInt(process.env.DEFAULT_KEY_MODE, 10),
+        }, { transaction: t });
+        if (values.patch) {
+            await RevisionDeltas.create({
+                revisionId: row.id,
+                parentId: values.parentId,
+                depth: values.depth,
+                patch: values.patch,
+            }, { transaction: t });
+        }
+        return row;
+    };
+    const revision = transaction
+        ? await writeRevision(transaction) : await postgres.transaction(writeRevision);
     const keyRevision = await Revisions.create({
         keyId: key.id,
         revisionId: revision.id,
-    });
+    }, { transaction });
     if (!key.revisionId) {
-        await revision.update({ status: 'ACCEPTED' });
-        await key.update({ revisionId: revision.id });
+        await revision.update({ status: 'ACCEPTED' }, { transaction });
+        await key.update({ revisionId: revision.id }, { transaction });
     }
     return keyRevision.revisionId;
 };
@@ -51,3 +269,21 @@ export const findRevisionForKey = async (revisionId, keyId) => {
     }
     throw new Error();
 };
+
+/**
+ * Find revision and the ID of the key it belongs to
+ *
+ * @param {string} revisionId Revision ID
+ * @returns {Object} Revision and key ID (undefined if revision does not exist)
+ */
+export const findKeyForRevision = async (revisionId) => {
+    const revision = await Revision.findByPk(revisionId, { attributes: { exclude: ['created_by'] } });
+    if (revision) {
+        const keyRevision = await Revisions.findOne({
+            where: { revisionId },
+        });
+        if (keyRevision) return { revision, keyId: keyRevision.keyId };
+        throw new Error('Revision is not associated with a key');
+    }
+    return {};
+};
@@ -0,0 +1,666 @@
+import { XMLBuilder, XMLParser } from 'fast-xml-parser';
+import {
+    flattenTaxa, getPremiseStates, getStatementRange, isNumerical,
+} from './content.js';
+import { isLanguageCode } from './language.js';
+
+/**
+ * Get text in the dataset language (no fallback to other languages)
+ *
+ * @param {Object} text Text object or string
+ * @param {string} language Language code
+ * @returns {string} Text (undefined if missing in the language)
+ */
+const getLanguageText = (text, language) => {
+    if (!text) return undefined;
+    if (typeof text === 'string') return text;
+    return text[language] || undefined;
+};
+
+/**
+ * Create SDD representation element
+ *
+ * @param {string} label Label
+ * @param {string} detail Detail text
+ * @param {Array} media Media IDs
+ * @returns {Object} Representation element
+ */
+const createRepresentation = (label, detail, media) => {
+    const representation = { Label: label || '' };
+    if (detail) representation.Detail = detail;
+    if (media && media.length > 0) {
+        representation.MediaObject = media.map((id) => ({ '@_ref': `m${id}` }));
+    }
+    return representation;
+};
+
+/**
+ * Create SDD taxon names and taxon hierarchy
+ *
+ * @param {Array} taxa Taxa array
+ * @param {string} language Language code
+ * @returns {Object} Taxon names and hierarchy elements
+ */
+const createTaxa = (taxa, language) => {
+    const flatTaxa = flattenTaxa(taxa);
+    const names = flatTaxa.map(({ taxon }) => {
+        const representation = createRepresentation(
+            taxon.scientificName,
+            getLanguageText(taxon.description, language),
+            taxon.media,
+        );
+        const vernacularName = getLanguageText(taxon.vernacularName, language);
+        if (vernacularName) {
+            representation.Detail = [
+                { '#text': vernacularName, '@_role': 'vernacular' },
+            ].concat(representation.Detail ? [representation.Detail] : []);
+        }
+        return { '@_id': `t${taxon.id}`, Representation: representation };
+    });
+    const nodes = flatTaxa.map(({ taxon, parentId }) => {
+        const node = { '@_id': `n${taxon.id}` };
+        if (parentId) node.Parent = { '@_ref': `n${parentId}` };
+        node.TaxonName = { '@_ref': `t${taxon.id}` };
+        return node;
+    });
+    return {
+        TaxonNames: { TaxonName: names },
+        TaxonHierarchies: {
+            TaxonHierarchy: {
+                '@_id': 'th1',
+                Representation: { Label: 'Taxon hierarchy' },
+                TaxonHierarchyType: 'UnspecifiedTaxonomy',
+                Nodes: { Node: nodes },
+            },
+        },
+    };
+};
+
+/**
+ * Create SDD character definitions
+ *
+ * @param {Array} characters Characters array
+ * @param {string} language Language code
+ * @returns {Object} Categorical and quantitative characters
+ */
+const createCharacters = (characters, language) => {
+    const categorical = [];
+    const quantitative = [];
+    characters.forEach((character) => {
+        const representation = createRepresentation(
+            getLanguageText(character.title, language),
+            getLanguageText(character.description, language),
+            character.media,
+        );
+        if (isNumerical(character)) {
+            const states = character.states || {};
+            const details = [];
+            if (representation.Detail) details.push(representation.Detail);
+            ['min', 'max', 'stepSize'].forEach((name) => {
+                if (states[name] !== undefined) details.push({ '#text': `${states[name]}`, '@_role': name });
+            });
+            if (details.length > 0) representation.Detail = details;
+            const element = { '@_id': `c${character.id}`, Representation: representation };
+            const unit = getLanguageText(states.unit, language);
+            if (unit) element.MeasurementUnit = { Label: unit };
+            quantitative.push(element);
+        } else {
+            categorical.push({
+                '@_id': `c${character.id}`,
+                Representation: representation,
+                States: {
+                    StateDefinition: (character.states || []).map((state) => ({
+                        '@_id': `s${state.id}`,
+                        Representation: createRepresentation(
+                            getLanguageText(state.title, language),
+                            getLanguageText(state.description, language),
+                            state.media,
+                        ),
+                    })),
+                },
+            });
+        }
+    });
+    return { CategoricalCharacter: categorical, QuantitativeCharacter: quantitative };
+};
+
+/**
+ * Create SDD character tree with dependency rules from logical premises
+ *
+ * @param {Array} characters Characters array
+ * @returns {Object} Character tree element
+ */
+const createCharacterTree = (characters) => ({
+    '@_id': 'ct1',
+    Representation: { Label: 'Character tree' },
+    ShouldContainAllCharacters: true,
+    Nodes: {
+        CharNode: characters.map((character) => {
+            const node = {};
+            const states = getPremiseStates(character.logicalPremise);
+            if (states.length > 0) {
+                node.DependencyRules = {
+                    OnlyApplicableIf: { State: states.map((id) => ({ '@_ref': `s${id}` })) },
+                };
+            }
+            node.Character = { '@_ref': `c${character.id}` };
+            return node;
+        }),
+    },
+});
+
+/**
+ * Create SDD coded descriptions from statements
+ *
+ * @param {Array} taxa Taxa array
+ * @param {Array} characters Characters array
+ * @param {Array} statements Statements array
+ * @returns {Array} Coded description elements
+ */
+const createCodedDescriptions = (taxa, characters, statements) => flattenTaxa(taxa)
+    .map(({ taxon }) => {
+        const categorical = [];
+        const quantitative = [];
+        characters.forEach((character) => {
+            const taxonStatements = statements.filter(
+                (statement) => statement.taxonId === taxon.id
+                    && statement.characterId === character.id,
+            );
+            if (taxonStatements.length > 0) {
+                if (isNumerical(character)) {
+                    const ranges = taxonStatements.map(getStatementRange).filter((range) => range);
+                    if (ranges.length > 0) {
+                        quantitative.push({
+                            '@_ref': `c${character.id}`,
+                            Measure: [
+                                { '@_type': 'Min', '@_value': Math.min(...ranges.map((range) => range[0])) },
+                                { '@_type': 'Max', '@_value': Math.max(...ranges.map((range) => range[1])) },
+                            ],
+                        });
+                    }
+                } else {
+                    categorical.push({
+                        '@_ref': `c${character.id}`,
+                        State: taxonStatements.map((statement) => ({ '@_ref': `s${statement.state}` })),
+                    });
+                }
+            }
+        });
+        return {
+            '@_id': `d${taxon.id}`,
+            Representation: { Label: taxon.scientificName },
+            Scope: { TaxonName: { '@_ref': `t${taxon.id}` } },
+            SummaryData: { Categorical: categorical, Quantitative: quantitative },
+        };
+    });
+
+/**
+ * Create SDD media objects and agents
+ *
+ * @param {Object} media Revision media
+ * @param {string} language Language code
+ * @returns {Object} Media object and agent elements
+ */
+const createMedia = (media, language) => {
+    const persons = media.persons || [];
+    const mediaObjects = (media.mediaElements || []).map((element) => {
+        const details = [];
+        if (element.license) details.push({ '#text': element.license, '@_role': 'license' });
+        if (element.creators && element.creators.length > 0) {
+            details.push({
+                '#text': element.creators.map((id) => {
+                    const person = persons.find((tmp) => tmp.id === id);
+                    return person ? person.name : id;
+                }).join(', '),
+                '@_role': 'creators',
+            });
+        }
+        const representation = { Label: getLanguageText(element.title, language) || '' };
+        if (details.length > 0) representation.Detail = details;
+        return {
+            '@_id': `m${element.id}`,
+            Representation: representation,
+            Type: 'Image',
+            Source: { '@_href': `${process.env.BUILDER_API_URL_BASE}/media/${element.id}` },
+        };
+    });
+    const agents = persons.map((person) => ({
+        '@_id': `a${person.id}`,
+        Representation: { Label: person.name },
+    }));
+    return { mediaObjects, agents };
+};
+
+/**
+ * Create SDD dataset for one language (only texts that exist in the language are included)
+ *
+ * @param {Object} revision Revision object
+ * @param {Array} keyInfo Key info array
+ * @param {string} language Language code
+ * @returns {Object} Dataset element
+ */
+const createDataset = (revision, keyInfo, language) => {
+    const content = revision.content || {};
+    const taxa = content.taxa || [];
+    const characters = content.characters || [];
+    const statements = content.statements || [];
+    const info = keyInfo.find((element) => element.languageCode === language);
+    const { mediaObjects, agents } = createMedia(revision.media || {}, language);
+    const dataset = {
+        '@_xml:lang': language,
+        Representation: createRepresentation(
+            info ? info.title : '',
+            info ? info.description : undefined,
+        ),
+    };
+    if (agents.length > 0) dataset.Agents = { Agent: agents };
+    Object.assign(dataset, createTaxa(taxa, language));
+    dataset.Characters = createCharacters(characters, language);
+    dataset.CharacterTrees = { CharacterTree: createCharacterTree(characters) };
+    dataset.CodedDescriptions = {
+        CodedDescription: createCodedDescriptions(taxa, characters, statements),
+    };
+    if (mediaObjects.length > 0) dataset.MediaObjects = { MediaObject: mediaObjects };
+    return dataset;
+};
+
+/**
+ * Serialize revision as SDD 1.1 XML (one dataset per key language)
+ *
+ * @param {Object} revision Revision object
+ * @param {Array} keyInfo Key info array (title and description per language)
+ * @param {Array} languages Key language codes
+ * @returns {string} SDD XML document
+ */
+export const createSddDocument = (revision, keyInfo, languages) => {
+    const builder = new XMLBuilder({
+        ignoreAttributes: false,
+        format: true,
+        suppressEmptyNode: true,
+    });
+    const codes = languages && languages.length > 0 ? languages : ['en'];
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${builder.build({
+        Datasets: {
+            '@_xmlns': 'http://rs.tdwg.org/UBIF/2006/',
+            '@_xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+            '@_xsi:schemaLocation': 'http://rs.tdwg.org/UBIF/2006/ http://rs.tdwg.org/UBIF/2006/Schema/1.1/SDD.xsd',
+            TechnicalMetadata: {
+                '@_created': new Date().toISOString(),
+                Generator: { '@_name': 'ArtsApp Builder API', '@_version': '1.0.0' },
+            },
+            Dataset: codes.map((language) => createDataset(revision, keyInfo, language)),
+        },
+    })}`;
+};
+
+const arrayElements = [
+    'Dataset', 'Label', 'Detail', 'MediaObject', 'TaxonHierarchy', 'Node',
+    'CategoricalCharacter', 'QuantitativeCharacter', 'TextCharacter', 'MolecularSequenceCharacter',
+    'StateDefinition', 'StateReference', 'CharacterTree', 'CharNode', 'State', 'OnlyApplicableIf',
+    'InapplicableIf', 'CodedDescription', 'Categorical', 'Quantitative', 'TextChar', 'Measure',
+];
+
+/**
+ * Wrap parsed XML element in array if it is not already an array
+ *
+ * @param {*} element Parsed element
+ * @returns {Array} Elements
+ */
+const toArray = (element) => {
+    if (element === undefined) return [];
+    return Array.isArray(element) ? element : [element];
+};
+
+/**
+ * Get text value of parsed XML element
+ *
+ * @param {*} element Parsed element
+ * @returns {string} Text
+ */
+const getElementText = (element) => {
+    if (element === undefined || element === null) return undefined;
+    if (typeof element === 'object') return getElementText(element['#text']);
+    return `${element}`.trim();
+};
+
+/**
+ * Get label and details from parsed representation element
+ *
+ * @param {Object} representation Parsed representation element
+ * @returns {Object} Label, description and details by role
+ */
+const readRepresentation = (representation) => {
+    const result = { details: {} };
+    if (representation) {
+        if (representation.Label) result.label = getElementText(representation.Label[0]);
+        (representation.Detail || []).forEach((detail) => {
+            const role = typeof detail === 'object' ? detail['@_role'] : undefined;
+            if (role) {
+                result.details[role] = getElementText(detail);
+            } else if (!result.description) result.description = getElementText(detail);
+        });
+    }
+    return result;
+};
+
+/**
+ * Add text to localized text object
+ *
+ * @param {Object} obj Object to modify
+ * @param {string} name Property name
+ * @param {string} language Language code
+ * @param {string} text Text
+ */
+const setText = (obj, name, language, text) => {
+    if (text) {
+        if (!obj[name]) obj[name] = {};
+        obj[name][language] = text;
+    }
+};
+
+/**
+ * Read taxa and taxon hierarchy from dataset
+ *
+ * @param {Object} dataset Parsed dataset
+ * @param {Array} unmapped List of constructs that could not be mapped
+ * @returns {Array} Taxa
+ */
+const readTaxa = (dataset, unmapped) => {
+    const taxa = toArray((dataset.TaxonNames || {}).TaxonName).map((element) => ({
+        ref: element['@_id'],
+        scientificName: readRepresentation(element.Representation).label,
+    }));
+    const hierarchies = (dataset.TaxonHierarchies || {}).TaxonHierarchy || [];
+    if (hierarchies.length > 0) {
+        const nodes = (hierarchies[0].Nodes || {}).Node || [];
+        nodes.forEach((node) => {
+            const taxon = node.TaxonName && taxa.find(
+                (element) => element.ref === node.TaxonName['@_ref'],
+            );
+            if (taxon && node.Parent) {
+                const parent = nodes.find((element) => element['@_id'] === node.Parent['@_ref']);
+                if (parent && parent.TaxonName) taxon.parentRef = parent.TaxonName['@_ref'];
+            }
+        });
+        hierarchies.slice(1).forEach((element) => unmapped.push({
+            element: 'TaxonHierarchy',
+            id: element['@_id'],
+            reason: 'Only the first taxon hierarchy is imported',
+        }));
+    }
+    taxa.filter((taxon) => !taxon.scientificName).forEach((taxon) => unmapped.push({
+        element: 'TaxonName',
+        id: taxon.ref,
+        reason: 'Taxon name has no label',
+    }));
+    return taxa.filter((taxon) => taxon.scientificName);
+};
+
+/**
+ * Read categorical and quantitative characters from dataset
+ *
+ * @param {Object} dataset Parsed dataset
+ * @param {Array} unmapped List of constructs that could not be mapped
+ * @returns {Array} Characters
+ */
+const readCharacters = (dataset, unmapped) => {
+    const characters = [];
+    const definitions = dataset.Characters || {};
+    (definitions.CategoricalCharacter || []).forEach((element) => {
+        const states = (element.States || {}).StateDefinition || [];
+        ((element.States || {}).StateReference || []).forEach((state) => unmapped.push({
+            element: 'StateReference',
+            id: state['@_ref'],
+            reason: 'Concept state references are not supported',
+        }));
+        characters.push({
+            ref: element['@_id'],
+            type: 'MULTISTATE',
+            states: states.map((state) => ({ ref: state['@_id'] })),
+        });
+    });
+    (definitions.QuantitativeCharacter || []).forEach((element) => {
+        const { details } = readRepresentation(element.Representation);
+        characters.push({
+            ref: element['@_id'],
+            type: 'NUMERICAL',
+            min: details.min !== undefined ? parseFloat(details.min) : undefined,
+            max: details.max !== undefined ? parseFloat(details.max) : undefined,
+            stepSize: details.stepSize !== undefined ? parseFloat(details.stepSize) : undefined,
+        });
+    });
+    ['TextCharacter', 'MolecularSequenceCharacter'].forEach((name) => {
+        (definitions[name] || []).forEach((element) => unmapped.push({
+            element: name,
+            id: element['@_id'],
+            reason: 'Character type is not supported',
+        }));
+    });
+    return characters;
+};
+
+/**
+ * Add titles and descriptions in the dataset language to taxa, characters and states
+ *
+ * @param {Object} dataset Parsed dataset
+ * @param {string} language Language code
+ * @param {Object} parsed Parsed key
+ */
+const readDatasetTexts = (dataset, language, parsed) => {
+    const representation = readRepresentation(dataset.Representation);
+    parsed.info[language] = {
+        title: representation.label,
+        description: representation.description,
+    };
+    toArray((dataset.TaxonNames || {}).TaxonName).forEach((element) => {
+        const taxon = parsed.taxa.find((tmp) => tmp.ref === element['@_id']);
+        if (taxon) {
+            const text = readRepresentation(element.Representation);
+            setText(taxon, 'vernacularName', language, text.details.vernacular);
+            setText(taxon, 'description', language, text.description);
+        }
+    });
+    const definitions = dataset.Characters || {};
+    (definitions.CategoricalCharacter || []).concat(definitions.QuantitativeCharacter || [])
+        .forEach((element) => {
+            const character = parsed.characters.find((tmp) => tmp.ref === element['@_id']);
+            if (character) {
+                const text = readRepresentation(element.Representation);
+                setText(character, 'title', language, text.label);
+                setText(character, 'description', language, text.description);
+                if (element.MeasurementUnit && element.MeasurementUnit.Label) {
+                    setText(character, 'unit', language, getElementText(element.MeasurementUnit.Label[0]));
+                }
+                ((element.States || {}).StateDefinition || []).forEach((definition) => {
+                    const state = character.states.find((tmp) => tmp.ref === definition['@_id']);
+                    if (state) {
+                        const stateText = readRepresentation(definition.Representation);
+                        setText(state, 'title', language, stateText.label);
+                        setText(state, 'description', language, stateText.description);
+                    }
+                });
+            }
+        });
+};
+
+/**
+ * Find character that owns the state
+ *
+ * @param {Array} characters Parsed characters
+ * @param {string} stateRef State reference
+ * @returns {Object} Character
+ */
+const findStateCharacter = (characters, stateRef) => characters.find(
+    (character) => character.type === 'MULTISTATE'
+        && character.states.some((state) => state.ref === stateRef),
+);
+
+/**
+ * Read dependency rules from the first character tree
+ *
+ * @param {Object} dataset Parsed dataset
+ * @param {Array} characters Parsed characters
+ * @param {Array} unmapped List of constructs that could not be mapped
+ */
+const readDependencies = (dataset, characters, unmapped) => {
+    const trees = (dataset.CharacterTrees || {}).CharacterTree || [];
+    if (trees.length > 0) {
+        ((trees[0].Nodes || {}).CharNode || []).forEach((node) => {
+            const character = node.Character && characters.find(
+                (element) => element.ref === node.Character['@_ref'],
+            );
+            const rules = node.DependencyRules;
+            if (character && rules) {
+                const conditions = [];
+                (rules.OnlyApplicableIf || []).forEach((rule) => {
+                    (rule.State || []).forEach((state) => {
+                        const controlling = findStateCharacter(characters, state['@_ref']);
+                        if (controlling) {
+                            conditions.push({ characterRef: controlling.ref, stateRef: state['@_ref'] });
+                        }
+                    });
+                });
+                (rules.InapplicableIf || []).forEach((rule) => {
+                    const refs = (rule.State || []).map((state) => state['@_ref']);
+                    const controlling = refs.length > 0 && findStateCharacter(characters, refs[0]);
+                    if (controlling) {
+                        controlling.states.filter((state) => !refs.includes(state.ref))
+                            .forEach((state) => conditions.push({
+                                characterRef: controlling.ref,
+                                stateRef: state.ref,
+                            }));
+                    }
+                });
+                if (conditions.length > 0) character.premise = conditions;
+            }
+        });
+        if (trees.length > 1) {
+            unmapped.push({
+                element: 'CharacterTree',
+                id: trees[1]['@_id'],
+                reason: 'Only the first character tree is imported',
+            });
+        }
+    }
+};
+
+/**
+ * Read statements from coded descriptions
+ *
+ * @param {Object} dataset Parsed dataset
+ * @param {Object} parsed Parsed key
+ * @param {Array} unmapped List of constructs that could not be mapped
+ * @returns {Array} Statements
+ */
+const readStatements = (dataset, parsed, unmapped) => {
+    const statements = [];
+    ((dataset.CodedDescriptions || {}).CodedDescription || []).forEach((description) => {
+        const scope = description.Scope && description.Scope.TaxonName;
+        const taxon = scope && parsed.taxa.find((element) => element.ref === scope['@_ref']);
+        if (taxon) {
+            const data = description.SummaryData || {};
+            (data.Categorical || []).forEach((element) => {
+                const character = parsed.characters.find((tmp) => tmp.ref === element['@_ref']);
+                (element.State || []).forEach((state) => {
+                    if (character && character.states.some((tmp) => tmp.ref === state['@_ref'])) {
+                        statements.push({
+                            taxonRef: taxon.ref,
+                            characterRef: character.ref,
+                            stateRef: state['@_ref'],
+                        });
+                    } else {
+                        unmapped.push({
+                            element: 'Categorical',
+                            id: `${description['@_id']}/${element['@_ref']}`,
+                            reason: 'State does not exist',
+                        });
+                    }
+                });
+            });
+            (data.Quantitative || []).forEach((element) => {
+                const character = parsed.characters.find((tmp) => tmp.ref === element['@_ref']);
+                const measures = {};
+                (element.Measure || []).forEach((measure) => {
+                    measures[measure['@_type']] = parseFloat(measure['@_value']);
+                });
+                const min = measures.Min !== undefined ? measures.Min : measures.Mean;
+                const max = measures.Max !== undefined ? measures.Max : measures.Mean;
+                if (character && min !== undefined && max !== undefined
+                    && !Number.isNaN(min) && !Number.isNaN(max)) {
+                    statements.push({
+                        taxonRef: taxon.ref, characterRef: character.ref, min, max,
+                    });
+                } else {
+                    unmapped.push({
+                        element: 'Quantitative',
+                        id: `${description['@_id']}/${element['@_ref']}`,
+                        reason: 'Measures other than Min, Max and Mean are not supported',
+                    });
+                }
+            });
+            (data.TextChar || []).forEach((element) => unmapped.push({
+                element: 'TextChar',
+                id: `${description['@_id']}/${element['@_ref']}`,
+                reason: 'Text data is not supported',
+            }));
+        } else {
+            unmapped.push({
+                element: 'CodedDescription',
+                id: description['@_id'],
+                reason: 'Description scope is not a known taxon name',
+            });
+        }
+    });
+    return statements;
+};
+
+/**
+ * Parse SDD XML document. Datasets are imported for each language (datasets without a valid
+ * language code are skipped), and constructs that cannot be represented in a key revision
+ * are listed as unmapped.
+ *
+ * @param {string} xml SDD XML document
+ * @returns {Object} Parsed key (key info, languages, taxa, characters and statements)
+ */
+export const parseSddDocument = (xml) => {
+    const parser = new XMLParser({
+        ignoreAttributes: false,
+        removeNSPrefix: true,
+        parseTagValue: false,
+        isArray: (name) => arrayElements.includes(name),
+    });
+    const document = parser.parse(xml);
+    if (!document.Datasets || !document.Datasets.Dataset) throw new Error('Invalid SDD document');
+    const unmapped = [];
+    const datasets = document.Datasets.Dataset.filter((dataset) => {
+        const language = dataset['@_lang'] || 'en';
+        if (isLanguageCode(language)) return true;
+        unmapped.push({ element: 'Dataset', id: language, reason: 'Invalid language code' });
+        return false;
+    });
+    if (datasets.length === 0) throw new Error('SDD document has no supported datasets');
+    const dataset = datasets[0];
+    const parsed = {
+        info: {},
+        languages: [],
+        taxa: readTaxa(dataset, unmapped),
+        characters: readCharacters(dataset, unmapped),
+        unmapped,
+    };
+    datasets.forEach((element) => {
+        const language = element['@_lang'] || 'en';
+        if (!parsed.languages.includes(language)) {
+            parsed.languages.push(language);
+            readDatasetTexts(element, language, parsed);
+        }
+    });
+    readDependencies(dataset, parsed.characters, unmapped);
+    parsed.statements = readStatements(dataset, parsed, unmapped);
+    ['MediaObjects', 'NaturalLanguageDescriptions', 'IdentificationKeys', 'Specimens', 'Publications']
+        .forEach((name) => {
+            if (dataset[name]) {
+                unmapped.push({ element: name, reason: 'Element is not supported' });
+            }
+        });
+    return parsed;
+};
@@ -0,0 +1,132 @@
+import Sequelize from 'sequelize';
+import postgres from '../config/postgres.js';
+import Key from '../lib/database/models/Key.js';
+import KeyInfo from '../lib/database/models/KeyInfo.js';
+import Revision from '../lib/database/models/Revision.js';
+
+/**
+ * Get table name with schema for model
+ *
+ * @param {Object} model Model
+ * @returns {string} Table name
+ */
+const getTable = (model) => `${process.env.POSTGRES_SCHEMA}.${model.tableName}`;
+
+/**
+ * Get column name for model attribute
+ *
+ * @param {Object} model Model
+ * @param {string} attribute Attribute name
+ * @returns {string} Column name
+ */
+const getColumn = (model, attribute) => model.rawAttributes[attribute].field;
+
+/**
+ * Create prefix search query (tsquery) from search string
+ *
+ * @param {string} text Search string
+ * @returns {string} Search query (undefined if there are no words)
+ */
+const createSearchQuery = (text) => {
+    const words = text.split(/\s+/)
+        .map((word) => word.replace(/[^\p{L}\p{N}-]/gu, '').replace(/^-+|-+$/g, ''))
+        .filter((word) => word.length > 0);
+    if (words.length === 0) return undefined;
+    return words.map((word) => `${word}:*`).join(' & ');
+};
+
+/**
+ * Search key info (title and description) and taxon names and character titles in the
+ * current revision of non-hidden keys. Norwegian and English texts are stemmed, scientific
+ * names are not.
+ *
+ * @param {string} text Search string
+ * @param {string} language Language code (only search texts in this language)
+ * @param {int} limit Maximum number of keys
+ * @returns {Array} Keys with matches, ordered by rank
+ */
+const searchKeys = async (text, language, limit) => {
+    const searchQuery = createSearchQuery(text);
+    if (!searchQuery) return [];
+    const key = getTable(Key);
+    const keyId = `${key}.${getColumn(Key, 'id')}`;
+    const keyInfo = getTable(KeyInfo);
+    const revision = getTable(Revision);
+    const content = `${revision}.${getColumn(Revision, 'content')}::jsonb`;
+    const visible = `${key}.${getColumn(Key, 'status')} <> 'HIDDEN'`;
+    const revisionJoin = `INNER JOIN ${revision} `
+        + `ON ${revision}.${getColumn(Revision, 'id')} = ${key}.${getColumn(Key, 'revisionId')}`;
+    const config = "(CASE entries.language WHEN 'no' THEN 'norwegian' WHEN 'en' THEN 'english' "
+        + "ELSE 'simple' END)::regconfig";
+    const matches = await postgres.query(
+        'WITH entries AS ('
+        + `SELECT ${keyId} AS key_id, 'key' AS entity, NULL AS entity_id, `
+        + `${keyInfo}.${getColumn(KeyInfo, 'languageCode')} AS language, `
+        + `concat_ws(' ', ${keyInfo}.${getColumn(KeyInfo, 'title')}, `
+        + `${keyInfo}.${getColumn(KeyInfo, 'description')}) AS text FROM ${key} `
+        + `INNER JOIN ${keyInfo} ON ${keyInfo}.${getColumn(KeyInfo, 'keyId')} = ${keyId} `
+        + `WHERE ${visible} `
+        + 'UNION ALL '
+        + `SELECT ${keyId}, 'taxon', taxon->>'id', names.language, names.text FROM ${key} `
+        + `${revisionJoin} `
+        + `CROSS JOIN LATERAL jsonb_path_query(${content}->'taxa', 'strict $.**') AS taxon `
+        + "CROSS JOIN LATERAL (SELECT 'scientific' AS language, taxon->>'scientificName' AS text "
+        + 'UNION ALL SELECT key, value FROM jsonb_each_text(CASE '
+        + "WHEN jsonb_typeof(taxon->'vernacularName') = 'object' "
+        + "THEN taxon->'vernacularName' ELSE '{}'::jsonb END)) AS names "
+        + `WHERE ${visible} AND jsonb_typeof(taxon) = 'object' `
+        + "AND taxon->>'scientificName' IS NOT NULL "
+        + 'UNION ALL '
+        + `SELECT ${keyId}, 'character', chr->>'id', titles.key, titles.value FROM ${key} `
+        + `${revisionJoin} `
+        + 'CROSS JOIN LATERAL jsonb_array_elements(CASE '
+        + `WHEN jsonb_typeof(${content}->'characters') = 'array' `
+        + `THEN ${content}->'characters' ELSE '[]'::jsonb END) AS chr `
+        + 'CROSS JOIN LATERAL jsonb_each_text(CASE '
+        + "WHEN jsonb_typeof(chr->'title') = 'object' "
+        + "THEN chr->'title' ELSE '{}'::jsonb END) AS titles "
+        + `WHERE ${visible}`
+        + ') '
+        + 'SELECT entries.key_id AS "keyId", entries.entity, entries.entity_id AS "entityId", '
+        + 'entries.language, entries.text, '
+        + `ts_rank(to_tsvector(${config}, entries.text), to_tsquery(${config}, :query)) AS rank `
+        + 'FROM entries '
+        + `WHERE to_tsvector(${config}, entries.text) @@ to_tsquery(${config}, :query) `
+        + `${language ? "AND entries.language IN (:language, 'scientific') " : ''}`
+        + 'ORDER BY rank DESC',
+        {
+            type: Sequelize.QueryTypes.SELECT,
+            replacements: { query: searchQuery, language },
+            raw: true,
+        },
+    );
+    const keys = [];
+    matches.forEach((match) => {
+        let element = keys.find((result) => result.keyId === match.keyId);
+        if (!element) {
+            if (keys.length >= limit) return;
+            element = { keyId: match.keyId, rank: 0, matches: [] };
+            keys.push(element);
+        }
+        element.rank += match.rank;
+        element.matches.push({
+            entity: match.entity,
+            id: match.entityId || undefined,
+            language: match.language,
+            text: match.text,
+            rank: match.rank,
+        });
+    });
+    keys.sort((a, b) => b.rank - a.rank);
+    const info = await KeyInfo.findAll({
+        attributes: ['keyId', 'languageCode', 'title'],
+        where: { keyId: { [Sequelize.Op.in]: keys.map((element) => element.keyId) } },
+    });
+    return keys.map((element) => ({
+        ...element,
+        key_info: info.filter((entry) => entry.keyId === element.keyId
+            && (!language || entry.languageCode === language)),
+    }));
+};
+
+export default searchKeys;
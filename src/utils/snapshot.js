@@ -0,0 +1,81 @@
+import { applyPatch, compare, deepClone } from 'fast-json-patch';
+
+/**
+ * Get number of deltas between full snapshots of revision content
+ *
+ * @returns {int} Snapshot interval
+ */
+export const getSnapshotInterval = () => parseInt(process.env.REVISION_SNAPSHOT_INTERVAL, 10) || 20;
+
+/**
+ * Create revision document (content and media)
+ *
+ * @param {Object} content Revision content
+ * @param {Object} media Revision media
+ * @returns {Object} Revision document
+ */
+export const createDocument = (content, media) => ({ content: content || {}, media: media || {} });
+
+/**
+ * Create JSON patch from one revision document to another
+ *
+ * @param {Object} previous Previous revision document
+ * @param {Object} next New revision document
+ * @returns {Array} JSON patch operations
+ */
+export const createPatch = (previous, next) => compare(previous, next);
+
+/**
+ * Apply JSON patch to revision document (the document is not modified)
+ *
+ * @param {Object} document Revision document
+ * @param {Array} patch JSON patch operations
+ * @returns {Object} New revision document
+ */
+export const applyRevisionPatch = (document, patch) => applyPatch(
+    deepClone(document),
+    patch,
+    false,
+    true,
+).newDocument;
+
+/**
+ * Check if revision should be stored as a full snapshot instead of a delta (the parent is
+ * at the end of a delta chain, or the patch is not much smaller than the content)
+ *
+ * @param {int} depth Number of deltas since the last snapshot, for the parent revision
+ * @param {Array} patch JSON patch operations
+ * @param {Object} document Revision document
+ * @returns {boolean} True if snapshot
+ */
+export const isSnapshot = (depth, patch, document) => depth + 1 >= getSnapshotInterval()
+    || JSON.stringify(patch).length > JSON.stringify(document).length / 2;
+
+/**
+ * Encode revision document as a snapshot or a delta against the parent document
+ *
+ * @param {Object} document Revision document
+ * @param {Object} parent Parent revision (ID, depth and document), undefined if none
+ * @returns {Object} Revision storage fields (content, media, patch, parent ID and depth)
+ */
+export const encodeRevision = (document, parent) => {
+    if (parent) {
+        const patch = createPatch(parent.document, document);
+        if (!isSnapshot(parent.depth || 0, patch, document)) {
+            return {
+                content: null,
+                media: null,
+                patch,
+                parentId: parent.id,
+                depth: (parent.depth || 0) + 1,
+            };
+        }
+    }
+    return {
+        content: document.content,
+        media: document.media,
+        patch: null,
+        parentId: null,
+        depth: 0,
+    };
+};
@@ -1,26 +1,15 @@
+import { getLocalizedText } from './language.js';
+
 /**
  * Set vernacular names and descriptions
  *
  * @param {Object} body Request body
  * @returns {Object} Vernacular names and descriptions
  */
-export const setTaxonInfo = (body) => {
-    let vernacularName;
-    let description;
-    if (body.vernacularNameNo || body.vernacularNameEn) {
-        vernacularName = {
-            no: body.vernacularNameNo || undefined,
-            en: body.vernacularNameEn || undefined,
-        };
-    }
-    if (body.descriptionNo || body.descriptionEn) {
-        description = {
-            no: body.descriptionNo || undefined,
-            en: body.descriptionEn || undefined,
-        };
-    }
-    return { vernacularName, description };
-};
+export const setTaxonInfo = (body) => ({
+    vernacularName: getLocalizedText(body, 'vernacularName'),
+    description: getLocalizedText(body, 'description'),
+});
 
 /**
  * Find taxon from array by ID
@@ -112,7 +101,7 @@ export const addToParent = (taxa, taxon, parentId) => {
 };
 
 /**
- * Modify taxon names in both languages
+ * Modify taxon names and descriptions
  *
  * @param {Object} taxon Taxon to modify
  * @param {int} taxonId Taxon ID
@@ -127,26 +116,10 @@ export const modifyTaxonNames = (taxon, taxonId, taxa, body) => {
             valid = false;
         } else taxon.scientificName = body.scientificName;
     }
-    if (body.vernacularNameNo) {
-        if (taxon.vernacularName) {
-            taxon.vernacularName.no = body.vernacularNameNo;
-        } else taxon.vernacularName = { no: body.vernacularNameNo };
-    }
-    if (body.vernacularNameEn) {
-        if (taxon.vernacularName) {
-            taxon.vernacularName.en = body.vernacularNameEn;
-        } else taxon.vernacularName = { en: body.vernacularNameEn };
-    }
-    if (body.descriptionNo) {
-        if (taxon.description) {
-            taxon.description.no = body.descriptionNo;
-        } else taxon.description = { no: body.descriptionNo };
-    }
-    if (body.descriptionEn) {
-        if (taxon.description) {
-            taxon.description.en = body.descriptionEn;
-        } else taxon.description = { en: body.descriptionEn };
-    }
+    const vernacularName = getLocalizedText(body, 'vernacularName');
+    const description = getLocalizedText(body, 'description');
+    if (vernacularName) taxon.vernacularName = { ...taxon.vernacularName, ...vernacularName };
+    if (description) taxon.description = { ...taxon.description, ...description };
     return valid;
 };
 
@@ -5,10 +5,12 @@ const path = require('path');
 module.exports = {
     entry: {
         app: './src/app.js',
+        'migrate-revisions': './src/scripts/migrate-revisions.js',
+        'benchmark-revisions': './src/scripts/benchmark-revisions.js',
     },
     output: {
         path: path.resolve(__dirname, 'build'),
-        filename: 'app.bundle.js',
+        filename: '[name].bundle.js',
     },
     externalsPresets: { node: true },
     externals: [nodeExternals()],